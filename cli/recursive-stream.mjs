@@ -7,17 +7,19 @@
  *   recursive-stream [--rtmp <url>] [--seed <video.mp4>] [--iteration <n>]
  */
 
-import { spawn, spawnSync } from 'child_process';
-import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, unlinkSync } from 'fs';
+import { spawn } from 'child_process';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, unlinkSync, renameSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { CONFIG } from '../lib/config.mjs';
-import { PKG_ROOT } from '../lib/pkg-root.mjs';
+import { renderSegment } from '../lib/render.mjs';
+import { logProgress } from '../lib/progress.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const STREAM_DIR = join(CONFIG.paths.output, 'recursive');
-const STATE_FILE = join(STREAM_DIR, 'state.json');
-const ASSEMBLE = join(PKG_ROOT, 'cli', 'assemble-segment.mjs');
+const STATE_FILE = CONFIG.paths.recursiveState;
+/** Where the state lived before it moved next to feed.json (where charts and materialize read it). */
+const LEGACY_STATE_FILE = join(STREAM_DIR, 'state.json');
 
 const TOWEL_CA = process.env.SEGMENT_STREAM_TOKEN_CA || 'Ak9ptp86tfJMrKwBwoe49pNkHxPjZk8GRQxZKB78pump';
 
@@ -27,8 +29,13 @@ const seedVideo = args.includes('--seed') ? args[args.indexOf('--seed') + 1] : n
 let iteration = args.includes('--iteration') ? parseInt(args[args.indexOf('--iteration') + 1]) : 0;
 
 mkdirSync(STREAM_DIR, { recursive: true });
+mkdirSync(dirname(STATE_FILE), { recursive: true });
 
 function loadState() {
+  if (!existsSync(STATE_FILE) && existsSync(LEGACY_STATE_FILE)) {
+    renameSync(LEGACY_STATE_FILE, STATE_FILE);
+    console.log(`📦 Moved stream state from ${LEGACY_STATE_FILE} to ${STATE_FILE}`);
+  }
   if (existsSync(STATE_FILE)) return JSON.parse(readFileSync(STATE_FILE, 'utf8'));
   return { iteration: 0, history: [], lastPrice: null, lastMC: null, startedAt: new Date().toISOString() };
 }
@@ -125,20 +132,17 @@ function generateScript(iteration, data, prevData, state) {
   return { title: `Wire — Iteration ${iteration}`, beats };
 }
 
-function renderVideo(script, iteration) {
+async function renderVideo(script, iteration) {
   const scriptPath = join(STREAM_DIR, `iteration-${iteration}.json`);
   const outputPath = join(STREAM_DIR, `iteration-${iteration}.mp4`);
 
   writeFileSync(scriptPath, JSON.stringify(script, null, 2));
 
   console.log(`\n🎬 Rendering iteration ${iteration}...`);
-  const result = spawnSync('node', [ASSEMBLE, '--script', scriptPath, '--output', outputPath, '--macos-tts'], {
-    stdio: 'inherit',
-    timeout: 300000
-  });
-
-  if (result.status !== 0) {
-    console.error(`❌ Render failed for iteration ${iteration}`);
+  try {
+    await renderSegment(script, { output: outputPath, tts: { engine: 'macos' }, onProgress: logProgress });
+  } catch (e) {
+    console.error(`❌ Render failed for iteration ${iteration}: ${e.message}`);
     return null;
   }
 
@@ -209,7 +213,7 @@ async function main() {
     }
 
     const script = generateScript(i, data, prevData, state);
-    const videoPath = renderVideo(script, i);
+    const videoPath = await renderVideo(script, i);
 
     if (!videoPath) {
       console.error('❌ Failed to render. Waiting 60s and retrying...');
@@ -8,11 +8,13 @@
  */
 
 import { execSync, spawn } from 'child_process';
-import { existsSync } from 'fs';
+import { existsSync, readFileSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
 import { CONFIG } from '../lib/config.mjs';
 import { PKG_ROOT } from '../lib/pkg-root.mjs';
+import { renderSegment } from '../lib/render.mjs';
+import { logProgress } from '../lib/progress.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 
@@ -73,10 +75,8 @@ async function run() {
     console.log(`Assembling video from ${scriptPath}...`);
 
     try {
-      execSync(`node ${join(PKG_ROOT, 'cli', 'assemble-segment.mjs')} --script ${scriptPath} --output ${mp4}`, {
-        stdio: 'inherit',
-        timeout: 300000
-      });
+      const script = JSON.parse(readFileSync(scriptPath, 'utf8'));
+      await renderSegment(script, { output: mp4, onProgress: logProgress });
     } catch (e) {
       console.error('Assembly failed:', e.message);
       process.exit(1);
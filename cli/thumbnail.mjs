@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+/**
+ * Thumbnail for a script: title, key number and host avatar in the theme's colors.
+ *
+ * Usage:
+ *   thumbnail --script segment.json [--output thumb.png]
+ *   thumbnail --script mood-segment.json --format portrait
+ *   thumbnail --script segment.json --beat 3 --highlight "+12%"
+ */
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { CONFIG } from '../lib/config.mjs';
+import { renderThumbnail } from '../lib/thumbnail.mjs';
+import { logError } from '../lib/progress.mjs';
+
+const args = process.argv.slice(2);
+const scriptPath = args.includes('--script') ? args[args.indexOf('--script') + 1] : null;
+const outputPath = args.includes('--output') ? args[args.indexOf('--output') + 1] : null;
+const format = args.includes('--format') ? args[args.indexOf('--format') + 1] : 'landscape';
+const theme = args.includes('--theme') ? args[args.indexOf('--theme') + 1] : undefined;
+const beat = args.includes('--beat') ? parseInt(args[args.indexOf('--beat') + 1], 10) : null;
+const highlight = args.includes('--highlight') ? args[args.indexOf('--highlight') + 1] : null;
+const slideRenderer = args.includes('--slide-renderer') ? args[args.indexOf('--slide-renderer') + 1] : undefined;
+
+if (!scriptPath) {
+  console.error('Usage: thumbnail --script <script.json> [--output thumb.png|.jpg] [--format landscape|portrait] [--theme default] [--beat 0] [--highlight "+12%"] [--slide-renderer auto|svg|wkhtmltoimage|drawtext]');
+  process.exit(1);
+}
+
+async function main() {
+  const script = JSON.parse(readFileSync(scriptPath, 'utf8'));
+  const output = outputPath || join(CONFIG.paths.output, `thumbnail-${Date.now()}.png`);
+  await renderThumbnail(script, { output, format, theme, beat, highlight, slideRenderer });
+  console.log(`🖼️  Thumbnail: ${output}`);
+}
+
+main().catch(e => {
+  logError(e, 'Thumbnail failed');
+  process.exit(1);
+});
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+/**
+ * Validate script / materialize source JSON before rendering (no TTS, no ffmpeg).
+ *
+ * Usage:
+ *   validate-script segment.json [more.json ...] [--source] [--json]
+ *
+ * Files with data_bindings or metadata are checked as materialize sources; --source forces it.
+ * Exits 1 if any file is invalid.
+ */
+
+import { readFileSync } from 'fs';
+import { validateScript, detectKind } from '../lib/validate.mjs';
+
+const args = process.argv.slice(2);
+const files = args.filter(a => !a.startsWith('--'));
+const forceSource = args.includes('--source');
+const asJson = args.includes('--json');
+
+if (files.length === 0) {
+  console.error('Usage: validate-script <script.json> [more.json ...] [--source] [--json]');
+  process.exit(1);
+}
+
+const results = files.map(file => {
+  let doc;
+  try {
+    doc = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (e) {
+    return { file, kind: null, valid: false, errors: [{ path: '$', message: e.message }] };
+  }
+  const kind = forceSource ? 'source' : detectKind(doc);
+  return { file, kind, ...validateScript(doc, { kind }), beats: Array.isArray(doc.beats) ? doc.beats.length : 0 };
+});
+
+if (asJson) {
+  console.log(JSON.stringify(results, null, 2));
+} else {
+  for (const r of results) {
+    if (r.valid) {
+      console.log(`✅ ${r.file}: valid ${r.kind} (${r.beats} beats)`);
+    } else {
+      console.log(`❌ ${r.file}: ${r.errors.length} problem${r.errors.length === 1 ? '' : 's'}`);
+      for (const e of r.errors) console.log(`   ${e.path}: ${e.message}`);
+    }
+  }
+}
+
+process.exit(results.every(r => r.valid) ? 0 : 1);
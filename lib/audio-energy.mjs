@@ -0,0 +1,75 @@
+/**
+ * Loudness envelope of a beat WAV, one value per video frame, for driving the avatar.
+ * Reads the PCM directly (the pipeline writes 16-bit WAV; 32-bit float is accepted too).
+ */
+
+import { readFileSync, existsSync } from 'fs';
+
+/** Per-frame fall-off after a peak, so the mouth doesn't flicker between syllables. */
+const RELEASE = 0.6;
+
+/**
+ * RMS per frame at `fps`, normalized so the beat's loudest frame is 1 (values 0..1).
+ * Empty when the file is missing or not a PCM WAV.
+ */
+export function energyEnvelope(wavPath, fps = 25) {
+  const wav = readWav(wavPath);
+  if (!wav) return [];
+  const { samples, sampleRate } = wav;
+  const hop = sampleRate / fps;
+  const frames = Math.ceil(samples.length / hop);
+
+  const rms = new Array(frames);
+  for (let f = 0; f < frames; f++) {
+    const from = Math.floor(f * hop);
+    const to = Math.min(samples.length, Math.floor((f + 1) * hop));
+    let sum = 0;
+    for (let i = from; i < to; i++) sum += samples[i] * samples[i];
+    rms[f] = to > from ? Math.sqrt(sum / (to - from)) : 0;
+  }
+
+  const peak = Math.max(...rms, 1e-6);
+  let level = 0;
+  return rms.map(value => {
+    level = Math.max(value / peak, level * RELEASE);
+    return level;
+  });
+}
+
+/** Mono float samples from a PCM WAV, or null if it can't be parsed. */
+function readWav(path) {
+  if (!path || !existsSync(path)) return null;
+  const buf = readFileSync(path);
+  if (buf.length < 12 || buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WAVE') return null;
+
+  let fmt = null;
+  let offset = 12;
+  while (offset + 8 <= buf.length) {
+    const id = buf.toString('ascii', offset, offset + 4);
+    const size = buf.readUInt32LE(offset + 4);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      fmt = { format: buf.readUInt16LE(body), channels: buf.readUInt16LE(body + 2), sampleRate: buf.readUInt32LE(body + 4), bits: buf.readUInt16LE(body + 14) };
+    } else if (id === 'data' && fmt) {
+      const end = Math.min(buf.length, body + size);
+      return decode(buf.subarray(body, end), fmt);
+    }
+    offset = body + size + (size % 2);
+  }
+  return null;
+}
+
+function decode(data, { format, channels, sampleRate, bits }) {
+  const read = format === 1 && bits === 16 ? (o => data.readInt16LE(o) / 32768)
+    : format === 3 && bits === 32 ? (o => data.readFloatLE(o))
+    : null;
+  if (!read || !channels) return null;
+  const frameBytes = channels * bits / 8;
+  const samples = new Float32Array(Math.floor(data.length / frameBytes));
+  for (let i = 0; i < samples.length; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) sum += read(i * frameBytes + c * bits / 8);
+    samples[i] = sum / channels;
+  }
+  return { samples, sampleRate };
+}
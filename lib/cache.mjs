@@ -0,0 +1,164 @@
+/**
+ * Content-addressed render cache. Each artifact (beat audio, slide PNG, beat MP4) is stored under
+ * a hash of everything that went into it, so re-rendering a script only redoes beats that changed.
+ *
+ * Layout: <dir>/<kind>/<ab>/<hash>.<ext>
+ *
+ * The cache is capped at `maxSize` (CONFIG.cacheMaxSize). Hits refresh an artifact's mtime, and
+ * once a store takes the cache past the cap the least recently used artifacts are deleted until it
+ * fits again. Artifacts this cache instance has used are never pruned, so a render can't evict the
+ * beats it is about to concatenate.
+ */
+
+import { createHash } from 'crypto';
+import { readFileSync, copyFileSync, renameSync, mkdirSync, existsSync, readdirSync, statSync, utimesSync, unlinkSync } from 'fs';
+import { RenderError } from './errors.mjs';
+import { join, dirname } from 'path';
+import { CONFIG } from './config.mjs';
+
+/** Bump when a change to the pipeline makes old artifacts wrong. */
+const CACHE_VERSION = 3;
+
+const UNITS = { '': 1, K: 1e3, M: 1e6, G: 1e9, T: 1e12 };
+
+/**
+ * @param {{ dir?: string, enabled?: boolean, maxSize?: number|string }} [options] - `maxSize` in bytes
+ *   or with a unit (500M, 10G); 0 for no cap
+ */
+export function createCache({ dir = CONFIG.cacheDir, enabled = true, maxSize = CONFIG.cacheMaxSize } = {}) {
+  const maxBytes = parseSize(maxSize);
+  const stats = {};
+  const used = new Set();
+  let total = null;
+  const touch = file => {
+    used.add(file);
+    const now = new Date();
+    try { utimesSync(file, now, now); } catch {}
+  };
+  const count = (kind, field) => {
+    stats[kind] ||= { hits: 0, misses: 0 };
+    stats[kind][field]++;
+  };
+  const pathFor = (kind, key, ext) => join(dir, kind, key.slice(0, 2), `${key}.${ext}`);
+  let pruned = 0;
+
+  function usage() {
+    if (!existsSync(dir)) return { files: 0, bytes: 0 };
+    const files = listFiles(dir);
+    return { files: files.length, bytes: files.reduce((sum, f) => sum + f.size, 0) };
+  }
+
+  function prune(limit = maxBytes) {
+    if (!existsSync(dir)) return { files: 0, bytes: 0, removed: 0 };
+    // Skip in-flight stores (<hash>.<ext>.<pid>.tmp) of this or another render.
+    const entries = listFiles(dir).filter(f => !f.path.endsWith('.tmp'));
+    let bytes = entries.reduce((sum, f) => sum + f.size, 0);
+    let removed = 0;
+    for (const f of entries.sort((a, b) => a.mtime - b.mtime)) {
+      if (bytes <= limit) break;
+      if (used.has(f.path)) continue;
+      try {
+        unlinkSync(f.path);
+      } catch {
+        continue;
+      }
+      bytes -= f.size;
+      removed++;
+    }
+    pruned += removed;
+    return { files: entries.length - removed, bytes, removed };
+  }
+
+  return {
+    enabled,
+    dir,
+    stats,
+
+    /** Hash of a cache kind + the JSON-serializable inputs that determine the artifact. */
+    key(kind, inputs) {
+      return hashString(JSON.stringify({ v: CACHE_VERSION, kind, inputs }));
+    },
+
+    /** Cached file path for `key`, or null (counted as a hit or miss for stats). */
+    lookup(kind, key, ext) {
+      if (!enabled) return null;
+      const file = pathFor(kind, key, ext);
+      const hit = existsSync(file);
+      count(kind, hit ? 'hits' : 'misses');
+      if (!hit) return null;
+      touch(file);
+      return file;
+    },
+
+    /** Same as lookup() without touching stats, for companion files (e.g. word timings). */
+    peek(kind, key, ext) {
+      if (!enabled) return null;
+      const file = pathFor(kind, key, ext);
+      if (!existsSync(file)) return null;
+      touch(file);
+      return file;
+    },
+
+    /** Copy `src` into the cache under `key`; returns the cached path (or `src` when disabled). */
+    store(kind, key, ext, src) {
+      if (!enabled || !existsSync(src)) return src;
+      const file = pathFor(kind, key, ext);
+      mkdirSync(dirname(file), { recursive: true });
+      const tmp = `${file}.${process.pid}.tmp`;
+      const replaced = existsSync(file) ? statSync(file).size : 0;
+      copyFileSync(src, tmp);
+      renameSync(tmp, file);
+      used.add(file);
+      if (maxBytes) {
+        // The first store measures the cache, `file` included; later ones add what they wrote.
+        total = total === null ? usage().bytes : total + statSync(file).size - replaced;
+        if (total > maxBytes) total = prune().bytes;
+      }
+      return file;
+    },
+
+    /** { files, bytes } currently on disk. */
+    usage,
+
+    /**
+     * Delete the least recently used artifacts (oldest mtime first) until the cache is within
+     * `limit` bytes (default: the cap), skipping those this instance has used. Returns what is
+     * left as { files, bytes, removed }.
+     */
+    prune,
+
+    /** Artifacts deleted by pruning so far. */
+    get pruned() {
+      return pruned;
+    }
+  };
+}
+
+export function hashString(s) {
+  return createHash('sha256').update(s).digest('hex');
+}
+
+/** Content hash of a file, or null when the path is unset or missing. */
+export function hashFile(path) {
+  if (!path || !existsSync(path)) return null;
+  return createHash('sha256').update(readFileSync(path)).digest('hex');
+}
+
+/** '500M' / '10G' / 1e9 → bytes (0 means no cap). Throws RenderError on anything else. */
+export function parseSize(size) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*([KMGT]?)B?\s*$/i.exec(String(size));
+  if (!match) {
+    throw new RenderError(`Invalid cache size: ${size} (expected bytes, or a number with K, M, G or T)`, { code: 'INVALID_OPTION' });
+  }
+  return Math.round(match[1] * UNITS[match[2].toUpperCase()]);
+}
+
+/** Every file under `dir` as { path, size, mtime }. */
+function listFiles(dir) {
+  return readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) return listFiles(path);
+    const { size, mtimeMs } = statSync(path);
+    return [{ path, size, mtime: mtimeMs }];
+  });
+}
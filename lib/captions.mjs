@@ -0,0 +1,184 @@
+/**
+ * Captions from beat text + measured beat timings: SRT / WebVTT sidecars, ASS for burning in,
+ * and word-by-word highlighted ASS for shorts.
+ */
+
+import { writeFileSync } from 'fs';
+import { estimateWordTimings } from './word-timing.mjs';
+
+export const CAPTION_FORMATS = ['srt', 'vtt', 'burn', 'words'];
+export const CAPTION_POSITIONS = ['top', 'center', 'bottom'];
+
+/**
+ * Split each beat's narration into cues of at most `maxLines` lines of `maxChars` characters,
+ * spread across the beat's speech time (from `lead` seconds in) in proportion to their length.
+ *
+ * @param {object[]} beats - [{ text, start, lead?, speech }] as returned by renderSegment()
+ * @returns {{ start: number, end: number, lines: string[] }[]}
+ */
+export function buildCues(beats, { maxChars = 42, maxLines = 2 } = {}) {
+  const cues = [];
+  for (const beat of beats) {
+    const lines = wrapLines(beat.text, maxChars);
+    const chunks = [];
+    for (let i = 0; i < lines.length; i += maxLines) chunks.push(lines.slice(i, i + maxLines));
+
+    const totalChars = chunks.reduce((n, c) => n + c.join(' ').length, 0) || 1;
+    let t = beat.start + (beat.lead ?? 0);
+    for (const chunk of chunks) {
+      const length = beat.speech * chunk.join(' ').length / totalChars;
+      cues.push({ start: t, end: t + length, lines: chunk });
+      t += length;
+    }
+  }
+  return cues;
+}
+
+/**
+ * Word-by-word cues: each beat's words are grouped into short pages (at most `maxWords`
+ * words / `maxChars` characters) and one cue is emitted per spoken word, showing its page
+ * with that word highlighted. Beats without `words` timings get estimated ones.
+ *
+ * @param {object[]} beats - [{ text, start, lead?, speech, words? }]
+ * @returns {{ start: number, end: number, words: string[], active: number }[]}
+ */
+export function buildWordCues(beats, { maxChars = 28, maxWords = 4 } = {}) {
+  const cues = [];
+  for (const beat of beats) {
+    const at = beat.start + (beat.lead ?? 0);
+    const timings = beat.words?.length ? beat.words : estimateWordTimings(beat.text, beat.speech);
+    const pages = [];
+    let page = [];
+    for (const w of timings) {
+      const length = page.reduce((n, p) => n + p.word.length + 1, 0) + w.word.length;
+      if (page.length && (page.length >= maxWords || length > maxChars)) {
+        pages.push(page);
+        page = [];
+      }
+      page.push(w);
+    }
+    if (page.length) pages.push(page);
+
+    for (const p of pages) {
+      p.forEach((w, i) => {
+        // Hold each word until the next one starts so the page doesn't flicker between words.
+        const end = i + 1 < p.length ? p[i + 1].start : w.end;
+        cues.push({ start: at + w.start, end: at + Math.max(end, w.start + 0.05), words: p.map(x => x.word), active: i });
+      });
+    }
+  }
+  return cues;
+}
+
+/**
+ * Merge caption overrides ({ position, fontSize, highlight, color }) into a layout's caption style.
+ */
+export function resolveCaptionStyle(base = {}, { position, fontSize, highlight, color } = {}) {
+  const style = { ...base };
+  if (position === 'top') Object.assign(style, { alignment: 8, marginV: base.marginTop ?? 160 });
+  if (position === 'center') Object.assign(style, { alignment: 5, marginV: 0 });
+  if (position === 'bottom') Object.assign(style, { alignment: 2, marginV: base.marginV ?? 60 });
+  if (fontSize) style.fontSize = Number(fontSize);
+  if (highlight) style.highlight = highlight;
+  if (color) style.color = color;
+  return style;
+}
+
+/**
+ * Greedy word wrap. Words longer than `maxChars` get a line of their own.
+ */
+export function wrapLines(text, maxChars) {
+  const lines = [];
+  let line = '';
+  for (const word of text.trim().split(/\s+/).filter(Boolean)) {
+    if (line && line.length + 1 + word.length > maxChars) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+}
+
+export function toSrt(cues) {
+  return cues.map((c, i) => `${i + 1}\n${timestamp(c.start, ',')} --> ${timestamp(c.end, ',')}\n${c.lines.join('\n')}\n`).join('\n');
+}
+
+export function toVtt(cues) {
+  return `WEBVTT\n\n${cues.map(c => `${timestamp(c.start, '.')} --> ${timestamp(c.end, '.')}\n${c.lines.join('\n')}\n`).join('\n')}`;
+}
+
+/**
+ * ASS subtitles for the ffmpeg `ass` filter, in output pixel coordinates.
+ * style: { font, fontSize, color, highlight, outline, marginV, alignment } (alignment uses ASS numpad positions).
+ * Word cues ({ words, active }) render the active word in `highlight`, slightly enlarged.
+ */
+export function toAss(cues, { width, height, style = {} }) {
+  const { font = 'Helvetica', fontSize = 48, color = '#ffffff', highlight = '#00d4aa', outline = 3, marginV = 60, alignment = 2 } = style;
+  const header = [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    `PlayResX: ${width}`,
+    `PlayResY: ${height}`,
+    'WrapStyle: 2',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, OutlineColour, BackColour, Bold, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV',
+    `Style: Default,${font},${fontSize},${assColor(color)},&H00000000,&H80000000,1,1,${outline},0,${alignment},60,60,${marginV}`,
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Text'
+  ];
+  const text = c => c.words
+    ? c.words.map((w, i) => i === c.active ? `{\\c&H${bgr(highlight)}&\\fscx112\\fscy112}${escapeAss(w)}{\\r}` : escapeAss(w)).join(' ')
+    : c.lines.map(escapeAss).join('\\N');
+  const events = cues.map(c => `Dialogue: 0,${assTime(c.start)},${assTime(c.end)},Default,${text(c)}`);
+  return `${[...header, ...events].join('\n')}\n`;
+}
+
+/**
+ * Write cues to `path` as 'srt', 'vtt' or 'ass'.
+ */
+export function writeCaptions(cues, path, format, options = {}) {
+  const body = format === 'vtt' ? toVtt(cues) : format === 'ass' ? toAss(cues, options) : toSrt(cues);
+  writeFileSync(path, body);
+  return path;
+}
+
+function timestamp(sec, sep) {
+  const ms = Math.max(0, Math.round(sec * 1000));
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor(ms / 60000) % 60;
+  const s = Math.floor(ms / 1000) % 60;
+  return `${pad(h)}:${pad(m)}:${pad(s)}${sep}${String(ms % 1000).padStart(3, '0')}`;
+}
+
+function assTime(sec) {
+  const cs = Math.max(0, Math.round(sec * 100));
+  const h = Math.floor(cs / 360000);
+  const m = Math.floor(cs / 6000) % 60;
+  const s = Math.floor(cs / 100) % 60;
+  return `${h}:${pad(m)}:${pad(s)}.${pad(cs % 100)}`;
+}
+
+/** #rrggbb → ASS style colour &HAABBGGRR (opaque) */
+function assColor(hex) {
+  return `&H00${bgr(hex)}`;
+}
+
+/** #rrggbb → BBGGRR (white for anything else) */
+function bgr(hex) {
+  const m = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(hex);
+  return m ? `${m[3]}${m[2]}${m[1]}`.toUpperCase() : 'FFFFFF';
+}
+
+/** Braces open override blocks and backslashes start tags; neither belongs in narration. */
+function escapeAss(s) {
+  return s.replace(/\\/g, '/').replace(/\{/g, '(').replace(/\}/g, ')');
+}
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
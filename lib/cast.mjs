@@ -0,0 +1,61 @@
+/**
+ * Multi-host scripts: a script-level `cast` and a beat-level `speaker`. Each beat is voiced with
+ * its speaker's engine and voice and shows that host's avatar; `onSet` puts two hosts on screen
+ * at once (two-up), the speaker animated and the other one listening.
+ *
+ *   "cast": [
+ *     { "id": "anchor", "name": "Dana Reyes", "title": "Anchor", "voiceId": "<elevenlabs voice id>", "avatar": "hosts/dana.png" },
+ *     { "id": "analyst", "name": "Marvin", "title": "Chief Pessimist", "engine": "macos", "voice": "Daniel", "avatar": "hosts/marvin.png" }
+ *   ],
+ *   "onSet": ["anchor", "analyst"],                       // optional: both hosts on screen by default
+ *   beat: "speaker": "analyst", "onSet": ["analyst"]       // speaker defaults to the first cast member
+ *
+ * Without `onSet`, a beat shows its speaker alone; with it, the speaker must be one of the hosts
+ * on set (validateScript checks). A member's `engine` / `voice` default to the
+ * render's TTS options; `voiceId` is the ElevenLabs voice. `avatar` is an image, or an avatar block
+ * ({ image, mouthOpen, blink }) layered over the theme's animation settings; without one the host
+ * uses the theme's avatar.
+ */
+
+/**
+ * The script's cast as a Map of id → member (in cast order), or null for single-host scripts.
+ * Ids and references are checked by validateScript.
+ */
+export function resolveCast(script) {
+  if (!script.cast?.length) return null;
+  return new Map(script.cast.map(member => [member.id, member]));
+}
+
+/** Beat `index`'s speaker (its `speaker`, else the first cast member), or null without a cast. */
+export function beatSpeaker(script, index) {
+  const cast = resolveCast(script);
+  if (!cast) return null;
+  return cast.get(script.beats[index].speaker) ?? cast.values().next().value;
+}
+
+/** Cast ids on screen for beat `index`: its `onSet`, the script's, else just the speaker. */
+export function beatOnSet(script, index) {
+  const speaker = beatSpeaker(script, index);
+  if (!speaker) return [];
+  return script.beats[index].onSet ?? script.onSet ?? [speaker.id];
+}
+
+/** TTS options for `member`: its engine and voices over the render's `tts` options. */
+export function speakerTTS(member, tts = {}) {
+  return {
+    ...tts,
+    ...(member.engine ? { engine: member.engine } : {}),
+    ...(member.voice ? { voice: member.voice } : {}),
+    ...(member.voiceId ? { voiceId: member.voiceId } : {})
+  };
+}
+
+/**
+ * `theme` with `member`'s avatar in place of the theme's. The theme's mouth and blink sprites
+ * belong to its own host, so they only carry over when the member has no avatar of its own.
+ */
+export function hostTheme(theme, member) {
+  if (!member?.avatar) return theme;
+  const own = typeof member.avatar === 'string' ? { image: member.avatar } : member.avatar;
+  return { ...theme, avatar: { ...theme.avatar, mouthOpen: null, blink: [], ...own } };
+}
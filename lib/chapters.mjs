@@ -0,0 +1,123 @@
+/**
+ * Chapters from beats: each run of beats sharing a `slideTitle` (falling back to the script title)
+ * is a chapter, and chapters shorter than `minLength` merge into a neighbour so every chapter
+ * meets the platform minimum (YouTube: 10s, at least three, the first at 0:00).
+ *
+ * The chapters are embedded in the MP4 (ffmetadata) and written as a YouTube `00:00 Title` list
+ * (`out.chapters.txt`) and a ready-to-paste description (`out.description.txt`).
+ */
+
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { runChecked } from './exec.mjs';
+import { RenderError } from './errors.mjs';
+
+/** YouTube ignores chapter lists with a chapter shorter than this (seconds). */
+export const DEFAULT_MIN_CHAPTER = 10;
+
+/** ...or with fewer chapters than this. */
+export const YOUTUBE_MIN_CHAPTERS = 3;
+
+/**
+ * `chapters` option → { minLength }, or null when off. Accepts true, a minimum length in
+ * seconds, or { minLength }.
+ */
+export function resolveChapters(option) {
+  if (!option) return null;
+  const minLength = typeof option === 'object' ? option.minLength ?? DEFAULT_MIN_CHAPTER
+    : option === true ? DEFAULT_MIN_CHAPTER
+    : Number(option);
+  if (!Number.isFinite(minLength) || minLength < 0) {
+    throw new RenderError(`Invalid minimum chapter length: ${minLength} (expected seconds >= 0)`, { code: 'INVALID_OPTION' });
+  }
+  return { minLength };
+}
+
+/**
+ * Beats (re-timed, with `start` / `end`) → [{ title, start, end, beats: [index…] }]. Consecutive
+ * beats with the same title are one chapter. Then, shortest first, each chapter under `minLength`
+ * merges with its shorter neighbour, keeping the title of the longer of the two, and with any
+ * neighbour that then has the same title, so no heading repeats.
+ */
+export function buildChapters(beats, script, { minLength = DEFAULT_MIN_CHAPTER } = {}) {
+  const chapters = [];
+  for (const b of beats) {
+    const title = script.beats[b.index].slideTitle || script.title || `Part ${chapters.length + 1}`;
+    const last = chapters.at(-1);
+    if (last?.title === title) {
+      last.end = b.end;
+      last.beats.push(b.index);
+    } else {
+      chapters.push({ title, start: b.start, end: b.end, beats: [b.index] });
+    }
+  }
+  const length = c => c.end - c.start;
+  while (chapters.length > 1) {
+    const short = chapters.reduce((min, c) => length(c) < length(min) ? c : min);
+    if (length(short) >= minLength) break;
+    const i = chapters.indexOf(short);
+    const [prev, next] = [chapters[i - 1], chapters[i + 1]];
+    const j = !next || (prev && length(prev) <= length(next)) ? i - 1 : i + 1;
+    const k = Math.min(i, j);
+    const [a, b] = [chapters[k], chapters[k + 1]];
+    chapters.splice(k, 2, joinChapters(a, b, length(a) >= length(b) ? a.title : b.title));
+    // The merge can leave the new chapter next to one with the same title: fold those together too.
+    if (chapters[k + 1]?.title === chapters[k].title) chapters.splice(k, 2, joinChapters(chapters[k], chapters[k + 1]));
+    if (chapters[k - 1]?.title === chapters[k].title) chapters.splice(k - 1, 2, joinChapters(chapters[k - 1], chapters[k]));
+  }
+  return chapters;
+}
+
+/** YouTube chapter list: one `00:00 Title` line per chapter. */
+export function chapterList(chapters) {
+  const hours = chapters.at(-1)?.start >= 3600;
+  return chapters.map(c => `${timestamp(c.start, hours)} ${c.title}`).join('\n');
+}
+
+/**
+ * Write `<base>.chapters.txt` and `<base>.description.txt` (script title, its `description`,
+ * then the chapter list) for `output`; returns { list, description } paths.
+ */
+export function writeChapterFiles(chapters, output, script) {
+  const base = output.replace(/\.[^./\\]+$/, '');
+  const list = chapterList(chapters);
+  const paths = { list: `${base}.chapters.txt`, description: `${base}.description.txt` };
+  writeFileSync(paths.list, list + '\n');
+  writeFileSync(paths.description, [script.title, script.description, `Chapters:\n${list}`].filter(Boolean).join('\n\n') + '\n');
+  return paths;
+}
+
+/** Copy `input` to `output` with `chapters` (and the script title) in its metadata. */
+export async function embedChapters(input, output, chapters, { title, workDir }) {
+  const metadata = join(workDir, 'chapters.ffmetadata');
+  const lines = [';FFMETADATA1'];
+  if (title) lines.push(`title=${escapeMetadata(title)}`);
+  for (const c of chapters) {
+    lines.push('[CHAPTER]', 'TIMEBASE=1/1000', `START=${Math.round(c.start * 1000)}`, `END=${Math.round(c.end * 1000)}`, `title=${escapeMetadata(c.title)}`);
+  }
+  writeFileSync(metadata, lines.join('\n') + '\n');
+  await runChecked('ffmpeg', [
+    '-y', '-i', input, '-i', metadata,
+    '-map', '0', '-map_metadata', '1', '-map_chapters', '1',
+    '-c', 'copy',
+    output
+  ], { code: 'CHAPTERS_FAILED' });
+}
+
+/** Adjacent chapters `a` and `b` as one, titled `title`. */
+function joinChapters(a, b, title = a.title) {
+  return { title, start: a.start, end: b.end, beats: [...a.beats, ...b.beats] };
+}
+
+/** 83 → '01:23'; with `hours`, '0:01:23'. */
+function timestamp(seconds, hours) {
+  const s = Math.floor(seconds);
+  const mm = String(Math.floor(s / 60) % 60).padStart(2, '0');
+  const ss = String(s % 60).padStart(2, '0');
+  return hours ? `${Math.floor(s / 3600)}:${mm}:${ss}` : `${String(Math.floor(s / 60)).padStart(2, '0')}:${ss}`;
+}
+
+/** ffmetadata treats = ; # \ and newlines as syntax. */
+function escapeMetadata(text) {
+  return String(text).replace(/[=;#\\\n]/g, c => `\\${c}`);
+}
@@ -0,0 +1,201 @@
+/**
+ * Chart slides: a beat's `chart` block drawn as a line, sparkline or bar chart in the slide panel.
+ *
+ *   "chart": { "type": "line", "values": [4200, 4650, 4390, 5120], "labels": ["Mon", "Tue", "Wed", "Thu"], "format": "usd" }
+ *   "chart": { "type": "sparkline", "history": "mc" }
+ *   "chart": { "type": "bar", "history": { "field": "volume24h", "points": 12 } }
+ *
+ * `history` plots a field of recursive-stream's state history (CONFIG.paths.recursiveState).
+ * The series is green when it ends at or above where it started and red otherwise, matching the
+ * slideAccent convention in recursive-stream (theme colors `up` / `down`).
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { CONFIG } from './config.mjs';
+import { runChecked, filterPath } from './exec.mjs';
+import { createCanvas } from './png.mjs';
+import { themeFont } from './fonts.mjs';
+import { plainSlideBody } from './markdown.mjs';
+import { RenderError } from './errors.mjs';
+
+export const CHART_TYPES = ['line', 'sparkline', 'bar'];
+export const CHART_FORMATS = ['number', 'usd', 'percent'];
+
+/** Fallbacks for themes that predate the `up` / `down` colors. */
+const UP = '#00d4aa';
+const DOWN = '#ff4444';
+
+/** History points plotted when the chart doesn't say. */
+const DEFAULT_POINTS = 24;
+
+/** Default value format for recursive-stream history fields. */
+const FIELD_FORMATS = {
+  price: 'usd', mc: 'usd', liquidity: 'usd', volume24h: 'usd',
+  priceChange1h: 'percent', priceChange24h: 'percent'
+};
+
+/**
+ * The series a beat's chart plots: { type, values, labels, format }. History references are read
+ * now, so the result also serves as the slide's cache key.
+ */
+export function resolveChart(chart, beatIndex) {
+  const type = chart.type || 'line';
+  if (!CHART_TYPES.includes(type)) {
+    throw new RenderError(`Unknown chart type: ${type} (expected ${CHART_TYPES.join(', ')})`, { code: 'INVALID_CHART', beat: beatIndex });
+  }
+
+  let values;
+  let labels = chart.labels || [];
+  let format = chart.format;
+  if (chart.history) {
+    const { field, points = DEFAULT_POINTS } = typeof chart.history === 'string' ? { field: chart.history } : chart.history;
+    const history = readHistory().filter(entry => Number.isFinite(entry[field])).slice(-points);
+    values = history.map(entry => entry[field]);
+    labels = history.map(entry => `#${entry.iteration}`);
+    format ??= FIELD_FORMATS[field];
+  } else {
+    values = chart.values || [];
+  }
+
+  if (!values.length || !values.every(Number.isFinite)) {
+    const source = chart.history ? `recursive-stream history (${CONFIG.paths.recursiveState})` : 'values';
+    throw new RenderError(`Chart has no data points in ${source}`, { code: 'INVALID_CHART', beat: beatIndex });
+  }
+  return { type, values, labels, format: format || 'number' };
+}
+
+/**
+ * Render the chart slide for beat `index` into `output` (width×height PNG): title, plot, axis
+ * labels and a callout with the last value and its change over the series.
+ */
+export async function renderChartSlide(beat, index, script, ctx, { width, height }, output) {
+  const { theme, workDir } = ctx;
+  const { type, values, labels, format } = resolveChart(beat.chart, index);
+  const colors = theme.colors;
+  const first = values[0];
+  const last = values[values.length - 1];
+  const trend = last >= first ? colors.up || UP : colors.down || DOWN;
+  const scale = height / 1080;
+  const size = n => Math.round(n * scale);
+
+  // Plot area in slide pixels; sparklines drop the axes and use the space for a bigger callout.
+  const spark = type === 'sparkline';
+  const plot = {
+    x: Math.round(width * (spark ? 0.08 : 0.14)),
+    y: Math.round(height * (spark ? 0.42 : 0.24)),
+    w: Math.round(width * (spark ? 0.84 : 0.64)),
+    h: Math.round(height * (spark ? 0.42 : 0.58))
+  };
+
+  const bar = type === 'bar';
+  let min = Math.min(...values, ...(bar ? [0] : []));
+  let max = Math.max(...values, ...(bar ? [0] : []));
+  if (min === max) {
+    const spread = Math.abs(max) * 0.1 || 1;
+    min -= spread;
+    max += spread;
+  } else if (!bar) {
+    const padding = (max - min) * 0.1;
+    min -= padding;
+    max += padding;
+  }
+  const yOf = v => plot.y + plot.h * (max - v) / (max - min);
+
+  const canvas = createCanvas(width, height);
+  const ticks = spark ? [] : [max, (max + min) / 2, min];
+  for (const tick of ticks) canvas.fillRect(plot.x, yOf(tick) - 1, plot.x + plot.w, yOf(tick) + 1, colors.muted, 0.6);
+
+  let lastPoint;
+  if (bar) {
+    const slot = plot.w / values.length;
+    const zero = yOf(0);
+    const mixed = values.some(v => v < 0);
+    values.forEach((v, i) => {
+      const up = mixed ? v >= 0 : i === 0 ? last >= first : v >= values[i - 1];
+      const x0 = plot.x + slot * i + slot * 0.15;
+      canvas.fillRect(x0, Math.min(zero, yOf(v)), x0 + slot * 0.7, Math.max(zero, yOf(v)), up ? colors.up || UP : colors.down || DOWN, i === values.length - 1 ? 1 : 0.75);
+    });
+    lastPoint = [plot.x + slot * (values.length - 0.5), yOf(last)];
+  } else {
+    const step = values.length > 1 ? plot.w / (values.length - 1) : 0;
+    const points = values.map((v, i) => [plot.x + step * i, yOf(v)]);
+    canvas.area(points, plot.y + plot.h, trend, 0.35);
+    canvas.line(points, trend, size(spark ? 8 : 6));
+    lastPoint = points[points.length - 1];
+    canvas.circle(...lastPoint, size(spark ? 12 : 10), trend);
+  }
+  const plotPng = join(workDir, `slide-${index}-chart.png`);
+  writeFileSync(plotPng, canvas.toPng());
+
+  // Text goes through drawtext textfiles, so labels need no filter escaping.
+  const font = themeFont(theme).file;
+  const texts = [];
+  const text = (value, options) => {
+    const file = join(workDir, `slide-${index}-text-${texts.length}.txt`);
+    writeFileSync(file, value);
+    texts.push(`drawtext=textfile='${filterPath(file)}':expansion=none:fontfile='${filterPath(font)}':${options}`);
+  };
+
+  text(beat.slideTitle || script.title, `fontsize=${size(44)}:fontcolor=${beat.slideAccent || colors.accent}:x=(w-tw)/2:y=${size(80)}`);
+  if (beat.slideBody) text(plainSlideBody(beat.slideBody)[0], `fontsize=${size(28)}:fontcolor=${colors.body}:x=(w-tw)/2:y=${size(146)}`);
+
+  for (const tick of ticks) {
+    text(formatValue(tick, format), `fontsize=${size(24)}:fontcolor=${colors.muted}:x=${plot.x - size(16)}-tw:y=${Math.round(yOf(tick))}-th/2`);
+  }
+  if (!spark && labels.length) {
+    const y = plot.y + plot.h + size(20);
+    const count = Math.min(labels.length, values.length);
+    const at = i => bar
+      ? plot.x + plot.w / values.length * (i + 0.5)
+      : plot.x + (values.length > 1 ? plot.w / (values.length - 1) * i : 0);
+    const shown = bar && count <= 12 ? [...Array(count).keys()] : [...new Set([0, count - 1])];
+    for (const i of shown) {
+      text(String(labels[i]), `fontsize=${size(24)}:fontcolor=${colors.muted}:x=${Math.round(at(i))}-tw/2:y=${y}`);
+    }
+  }
+
+  // A percentage change only reads sensibly when the series doesn't cross zero.
+  const delta = format === 'percent' ? `${signed(last - first, 1)} pts`
+    : first * last > 0 ? `${signed((last - first) / Math.abs(first) * 100, 1)}%`
+    : `${last >= first ? '+' : ''}${formatValue(last - first, format)}`;
+  if (spark) {
+    text(formatValue(last, format), `fontsize=${size(96)}:fontcolor=${colors.text}:x=(w-tw)/2:y=${size(200)}`);
+    text(delta, `fontsize=${size(40)}:fontcolor=${trend}:x=(w-tw)/2:y=${size(310)}`);
+  } else {
+    const x = plot.x + plot.w + size(28);
+    const y = Math.round(Math.min(Math.max(lastPoint[1], plot.y + size(30)), plot.y + plot.h - size(40)));
+    text(formatValue(last, format), `fontsize=${size(40)}:fontcolor=${colors.text}:x=${x}:y=${y}-th`);
+    text(delta, `fontsize=${size(30)}:fontcolor=${trend}:x=${x}:y=${y + size(12)}`);
+  }
+
+  await runChecked('ffmpeg', [
+    '-y', '-f', 'lavfi', '-i', `color=c=${colors.background}:s=${width}x${height}:d=1`,
+    '-i', plotPng,
+    '-filter_complex', `[0:v][1:v]overlay=0:0,${texts.join(',')}`,
+    '-frames:v', '1', output
+  ], { beat: index });
+  return output;
+}
+
+/** Axis / callout text: compact K/M/B for large numbers, significant digits for tiny prices. */
+export function formatValue(value, format = 'number') {
+  if (format === 'percent') return `${signed(value, 1)}%`;
+  const abs = Math.abs(value);
+  const [n, suffix] = abs >= 1e9 ? [value / 1e9, 'B'] : abs >= 1e6 ? [value / 1e6, 'M'] : abs >= 1e3 ? [value / 1e3, 'K'] : [value, ''];
+  const digits = suffix || abs >= 100 ? n.toFixed(Math.abs(n) >= 100 ? 0 : 1)
+    : abs >= 1 ? n.toFixed(2)
+    : abs === 0 ? '0'
+    : n.toPrecision(3);
+  return `${value < 0 ? '-' : ''}${format === 'usd' ? '$' : ''}${digits.replace('-', '')}${suffix}`;
+}
+
+function signed(value, digits) {
+  return `${value >= 0 ? '+' : '-'}${Math.abs(value).toFixed(digits)}`;
+}
+
+function readHistory() {
+  const path = CONFIG.paths.recursiveState;
+  if (!existsSync(path)) return [];
+  return JSON.parse(readFileSync(path, 'utf8')).history || [];
+}
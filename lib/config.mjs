@@ -21,9 +21,21 @@ export const CONFIG = {
   /** Default avatar image (left panel). Override with SEGMENT_STREAM_AVATAR. */
   avatarPath: process.env.SEGMENT_STREAM_AVATAR || join(PKG_ROOT, 'assets', 'avatar.png'),
 
+  /** Built-in themes. Add your own with SEGMENT_STREAM_THEMES (searched first) or pass a .json path. */
+  themesDir: join(PKG_ROOT, 'themes'),
+
+  /** Bundled fonts for drawtext and captions. Add your own with SEGMENT_STREAM_FONTS (searched first). */
+  fontsDir: join(PKG_ROOT, 'assets', 'fonts'),
+
   /** Work directory for temp files (assemble-segment). Use cwd to avoid polluting package. */
   workDir: process.env.SEGMENT_STREAM_WORK_DIR || join(process.cwd(), '.segment-stream', 'work'),
 
+  /** Persistent beat cache (TTS audio, slides, beat MP4s). Override with SEGMENT_STREAM_CACHE_DIR. */
+  cacheDir: process.env.SEGMENT_STREAM_CACHE_DIR || join(outputBase, 'cache'),
+
+  /** Cache size cap (bytes, or 500M / 10G); least recently used artifacts are pruned past it, 0 turns pruning off. Override with SEGMENT_STREAM_CACHE_MAX_SIZE. */
+  cacheMaxSize: process.env.SEGMENT_STREAM_CACHE_MAX_SIZE || '10G',
+
   /** Output base for segments, feed, recursive state */
   paths: {
     output: outputDir,
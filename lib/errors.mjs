@@ -0,0 +1,56 @@
+/**
+ * Error types thrown by the render pipeline.
+ * Callers can branch on `code` (or instanceof) instead of parsing messages.
+ */
+
+export class RenderError extends Error {
+  constructor(message, { code = 'RENDER_FAILED', beat = null, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = 'RenderError';
+    this.code = code;
+    /** Index of the beat being rendered when the error occurred, if any */
+    this.beat = beat;
+  }
+}
+
+/**
+ * An external command (ffmpeg, ffprobe, curl, say, wkhtmltoimage) failed. `command` is the
+ * command line with secrets masked, `stderr` the last lines it printed.
+ */
+export class CommandError extends RenderError {
+  constructor(message, { command, status = null, stderr = '', ...options } = {}) {
+    super(message, { code: 'COMMAND_FAILED', ...options });
+    this.name = 'CommandError';
+    this.command = command;
+    this.status = status;
+    this.stderr = stderr;
+  }
+}
+
+/** The script JSON is malformed (missing beats, wrong field types, ...). */
+export class ScriptError extends RenderError {
+  constructor(message, { errors = [], ...options } = {}) {
+    super(message, { code: 'INVALID_SCRIPT', ...options });
+    this.name = 'ScriptError';
+    /** Validation problems as [{ path, message }] */
+    this.errors = errors;
+  }
+}
+
+/** Speech synthesis failed for a beat. */
+export class TTSError extends RenderError {
+  constructor(message, options = {}) {
+    super(message, { code: 'TTS_FAILED', ...options });
+    this.name = 'TTSError';
+  }
+}
+
+/** One or more beats failed; `failures` is [{ beat, error }] in beat order. */
+export class BeatsError extends RenderError {
+  constructor(failures, total) {
+    const list = failures.map(f => `  beat ${f.beat}: ${f.error.message}`).join('\n');
+    super(`${failures.length} of ${total} beat${total === 1 ? '' : 's'} failed:\n${list}`, { code: 'BEATS_FAILED', beat: failures[0]?.beat ?? null });
+    this.name = 'BeatsError';
+    this.failures = failures;
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * Helpers for the external tools the renderer shells out to (ffmpeg, ffprobe, curl, say).
+ * Commands run as async child processes so independent beats can render concurrently.
+ */
+
+import { spawn, spawnSync } from 'child_process';
+import { CommandError } from './errors.mjs';
+
+/** Lines of stderr kept on a CommandError. */
+const STDERR_LINES = 15;
+
+/** Longest argument shown in a CommandError's command line (filter graphs and JSON bodies get long). */
+const MAX_ARG = 300;
+
+/**
+ * Run a command; resolves with { status, signal, stdout, stderr, error } once it exits.
+ * Never rejects: a command that cannot start resolves with `error` set and status null.
+ */
+export function run(cmd, args, options = {}) {
+  return new Promise(resolve => {
+    const child = spawn(cmd, args, { stdio: ['ignore', 'pipe', 'pipe'], ...options });
+    const stdout = [];
+    const stderr = [];
+    child.stdout?.on('data', d => stdout.push(d));
+    child.stderr?.on('data', d => stderr.push(d));
+    child.on('error', error => resolve({ status: null, signal: null, stdout: '', stderr: error.message, error }));
+    child.on('close', (status, signal) => resolve({
+      status,
+      signal,
+      stdout: Buffer.concat(stdout).toString(),
+      stderr: Buffer.concat(stderr).toString()
+    }));
+  });
+}
+
+/**
+ * run(), but rejects with a CommandError (carrying `beat`, the command line and the tail of
+ * stderr) unless the command exits 0. `code` overrides the error code (default COMMAND_FAILED).
+ */
+export async function runChecked(cmd, args, { beat = null, code = 'COMMAND_FAILED', ...options } = {}) {
+  const result = await run(cmd, args, options);
+  if (result.status === 0) return result;
+  const stderr = result.stderr.trim().split('\n').slice(-STDERR_LINES).join('\n');
+  const why = result.error ? `could not start (${result.error.message})`
+    : result.signal ? `was killed by ${result.signal}`
+    : `exited with status ${result.status}`;
+  const last = result.error ? '' : stderr.split('\n').at(-1);
+  throw new CommandError(`${cmd} ${why}${last ? `: ${last}` : ''}`, { code, beat, command: formatCommand(cmd, args), status: result.status, stderr });
+}
+
+/** Command line for error reports: API keys masked, very long arguments shortened. */
+function formatCommand(cmd, args) {
+  return [cmd, ...args].map(arg => {
+    const shown = String(arg).replace(/^(xi-api-key|authorization):.*/i, '$1: ***');
+    const short = shown.length > MAX_ARG ? `${shown.slice(0, MAX_ARG)}…` : shown;
+    return /[\s'"\\;|&$]/.test(short) ? `'${short.replace(/'/g, "'\\''")}'` : short;
+  }).join(' ');
+}
+
+/**
+ * Media duration in seconds via ffprobe (0 when it cannot be read).
+ */
+export async function probeDuration(path) {
+  const probe = await run('ffprobe', ['-v', 'quiet', '-show_entries', 'format=duration', '-of', 'csv=p=0', path]);
+  return parseFloat(probe.stdout.trim()) || 0;
+}
+
+const commandCache = new Map();
+
+/**
+ * True if `name` resolves on PATH (memoized).
+ */
+export function hasCommand(name) {
+  if (!commandCache.has(name)) {
+    const which = spawnSync('which', [name], { encoding: 'utf8' });
+    commandCache.set(name, Boolean(which.stdout?.trim()));
+  }
+  return commandCache.get(name);
+}
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight. Resolves (never rejects) with
+ * one { value } or { error } per item, in input order.
+ */
+export async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      try {
+        results[i] = { value: await fn(items[i], i) };
+      } catch (error) {
+        results[i] = { error };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+}
+
+/**
+ * Escape a file path for use as a filter option value inside -vf / -filter_complex.
+ */
+export function filterPath(path) {
+  return path.replace(/\\/g, '/').replace(/:/g, '\\:').replace(/'/g, "\\'");
+}
@@ -0,0 +1,163 @@
+/**
+ * Font files for ffmpeg text drawing (drawtext, burned captions), resolved from the theme:
+ * `fonts.file` (an explicit path, which must exist) or else the first of `fonts.family` found in
+ *
+ *   1. SEGMENT_STREAM_FONTS, then the package's assets/fonts/ (e.g. Inter-Regular.ttf for "Inter")
+ *   2. fontconfig (`fc-match`), only when it matches the family rather than substituting another
+ *   3. the platform's font directories (macOS, Linux, Windows), by file name
+ *
+ * Nothing found is a RenderError listing every candidate, not a silent fallback font.
+ */
+
+import { existsSync, readdirSync, statSync, readFileSync } from 'fs';
+import { join, basename, extname, isAbsolute } from 'path';
+import { homedir } from 'os';
+import { spawnSync } from 'child_process';
+import { CONFIG } from './config.mjs';
+import { hasCommand } from './exec.mjs';
+import { RenderError } from './errors.mjs';
+
+const FONT_EXTENSIONS = ['.ttf', '.otf', '.ttc'];
+
+const SYSTEM_DIRS = [
+  '/System/Library/Fonts',
+  '/System/Library/Fonts/Supplemental',
+  '/Library/Fonts',
+  join(homedir(), 'Library', 'Fonts'),
+  '/usr/share/fonts',
+  '/usr/local/share/fonts',
+  join(homedir(), '.local', 'share', 'fonts'),
+  join(homedir(), '.fonts'),
+  'C:\\Windows\\Fonts'
+];
+
+const resolved = new Map();
+
+/**
+ * Font for drawtext: { file, family }. Throws RenderError (FONT_NOT_FOUND) when no candidate resolves.
+ */
+export function themeFont(theme) {
+  return resolveFont(themeCandidates(theme));
+}
+
+/**
+ * Font for burned captions: the theme's `fonts.caption` family, else the drawtext font.
+ */
+export function captionFont(theme) {
+  return resolveFont([theme.fonts?.caption, ...themeCandidates(theme)]);
+}
+
+function themeCandidates({ fonts = {} }) {
+  return fonts.file ? [fonts.file] : [].concat(fonts.family ?? []);
+}
+
+/**
+ * First of `candidates` (font file paths or family names) that resolves to a file: { file, family }.
+ */
+export function resolveFont(candidates) {
+  const list = candidates.filter(Boolean);
+  const key = JSON.stringify(list);
+  if (!resolved.has(key)) {
+    const font = list.map(findFont).find(Boolean);
+    if (!font) {
+      throw new RenderError(
+        `No font found for ${list.length ? list.map(c => `"${c}"`).join(', ') : 'the theme (set fonts.file or fonts.family)'}. ` +
+        `Install one of them, add a .ttf/.otf to ${fontDirs()[0]}, or point fonts.file at a font file.`,
+        { code: 'FONT_NOT_FOUND' }
+      );
+    }
+    resolved.set(key, font);
+  }
+  return resolved.get(key);
+}
+
+function findFont(candidate) {
+  if (isPath(candidate)) {
+    return existsSync(candidate) ? { file: candidate, family: fontFamily(candidate) || basename(candidate, extname(candidate)) } : null;
+  }
+  const file = searchDirs(fontDirs(), candidate) || fontconfig(candidate) || searchDirs(SYSTEM_DIRS, candidate);
+  return file ? { file, family: fontFamily(file) || candidate } : null;
+}
+
+/**
+ * Family name stored in a TrueType/OpenType file (the first face of a .ttc), which is what libass
+ * matches caption styles against; null if the file can't be parsed.
+ */
+export function fontFamily(file) {
+  try {
+    const buf = readFileSync(file);
+    const face = buf.toString('ascii', 0, 4) === 'ttcf' ? buf.readUInt32BE(12) : 0;
+    const tables = buf.readUInt16BE(face + 4);
+    for (let t = 0; t < tables; t++) {
+      const record = face + 12 + t * 16;
+      if (buf.toString('ascii', record, record + 4) !== 'name') continue;
+      const table = buf.readUInt32BE(record + 8);
+      const count = buf.readUInt16BE(table + 2);
+      const strings = table + buf.readUInt16BE(table + 4);
+      const names = {};
+      for (let n = 0; n < count; n++) {
+        const entry = table + 6 + n * 12;
+        const [platform, , language, id, length, offset] = [0, 2, 4, 6, 8, 10].map(o => buf.readUInt16BE(entry + o));
+        if (id !== 1 && id !== 16) continue;
+        const raw = buf.subarray(strings + offset, strings + offset + length);
+        // Windows names are UTF-16BE; prefer US English, else take the first one seen.
+        const value = platform === 3 ? Buffer.from(raw).swap16().toString('utf16le') : raw.toString('latin1');
+        if (!names[id] || (platform === 3 && language === 0x409)) names[id] = value;
+      }
+      return names[16] || names[1] || null;
+    }
+  } catch {
+    // Not a font we can read; the caller falls back to the name it was given.
+  }
+  return null;
+}
+
+function isPath(candidate) {
+  return isAbsolute(candidate) || /[\\/]/.test(candidate) || FONT_EXTENSIONS.includes(extname(candidate).toLowerCase());
+}
+
+function fontDirs() {
+  return [process.env.SEGMENT_STREAM_FONTS, CONFIG.fontsDir].filter(Boolean);
+}
+
+/** fc-match always answers with *some* font; only accept it if it is the family asked for. */
+function fontconfig(family) {
+  if (!hasCommand('fc-match')) return null;
+  const match = spawnSync('fc-match', ['--format', '%{family}\n%{file}', family], { encoding: 'utf8' });
+  const [families = '', file = ''] = (match.stdout || '').split('\n');
+  const wanted = normalize(family.split(':')[0]);
+  const matches = families.split(',').some(name => normalize(name) === wanted);
+  return matches && file && existsSync(file) ? file : null;
+}
+
+/** A file named after the family, e.g. "DejaVu Sans" → DejaVuSans.ttf, dejavu-sans-regular.otf. */
+function searchDirs(dirs, family) {
+  const wanted = normalize(family);
+  for (const dir of dirs) {
+    for (const file of listFonts(dir)) {
+      const name = normalize(basename(file, extname(file)));
+      if (name === wanted || name === `${wanted}regular`) return file;
+    }
+  }
+  return null;
+}
+
+function listFonts(dir, depth = 0) {
+  let entries;
+  try {
+    entries = depth > 3 ? [] : readdirSync(dir);
+  } catch {
+    return [];
+  }
+  const files = [];
+  for (const entry of entries) {
+    const path = join(dir, entry);
+    if (FONT_EXTENSIONS.includes(extname(entry).toLowerCase())) files.push(path);
+    else if (statSync(path, { throwIfNoEntry: false })?.isDirectory()) files.push(...listFonts(path, depth + 1));
+  }
+  return files;
+}
+
+function normalize(name) {
+  return name.toLowerCase().replace(/[\s_-]+/g, '');
+}
@@ -0,0 +1,174 @@
+/**
+ * Host avatar: the theme's `avatar.image`, CONFIG.avatarPath, or a flat placeholder in the theme
+ * background when neither exists.
+ *
+ * With a real image the avatar reacts to the narration: it grows (`scale`) and rises (`bob`) with
+ * the beat's loudness, swaps to the `mouthOpen` sprite while speech is above `threshold` (0..1 of
+ * the beat's peak), and plays the `blink` frames every `blinkEvery` seconds while idle. Frames are
+ * pre-rendered once per render; each beat gets an ffconcat list sequencing them.
+ *
+ * Scripts with a `cast` (see cast.mjs) prepare every host's avatar the same way. The speaker is
+ * animated; a second host on set holds its still image.
+ */
+
+import { mkdirSync, existsSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { CONFIG } from '../config.mjs';
+import { runChecked } from '../exec.mjs';
+import { energyEnvelope } from '../audio-energy.mjs';
+import { beatSpeaker, beatOnSet, hostTheme } from '../cast.mjs';
+import { RenderError } from '../errors.mjs';
+
+export const AVATAR_DEFAULTS = { image: null, mouthOpen: null, blink: [], threshold: 0.3, scale: 0.04, bob: 10, blinkEvery: 4 };
+
+/** Distinct energy levels pre-rendered per sprite. */
+const LEVELS = 6;
+const FPS = 25;
+
+export async function resolveAvatar(theme, width, height) {
+  const image = avatarImage(theme);
+  if (image) return image;
+
+  const background = theme.colors.background;
+  const placeholder = join(CONFIG.workDir, `avatar-placeholder-${width}x${height}-${background.replace('#', '')}.png`);
+  if (!existsSync(placeholder)) {
+    mkdirSync(CONFIG.workDir, { recursive: true });
+    await runChecked('ffmpeg', [
+      '-y', '-f', 'lavfi', '-i', `color=c=${background}:s=${width}x${height}:d=1`,
+      '-frames:v', '1', placeholder
+    ], { code: 'AVATAR_FAILED' });
+  }
+  return placeholder;
+}
+
+/**
+ * Render the animation frames for a width×height panel into `dir`, named `<prefix>-*.png`. `fit`
+ * is 'contain' (whole avatar, padded with the theme background) or 'cover' (cropped to fill).
+ * Null when the avatar is static: no image (placeholder), or nothing to animate.
+ *
+ * @returns {Promise<{ sources: string[], threshold, blinkEvery, base: string[], mouth: string[]|null, blink: string[] } | null>}
+ */
+export async function prepareAvatarFrames(theme, { width, height, fit = 'contain', dir, prefix = 'avatar' }) {
+  const config = { ...AVATAR_DEFAULTS, ...theme.avatar };
+  const image = avatarImage(theme);
+  if (!image || !(config.scale > 0 || config.bob > 0 || config.mouthOpen || config.blink.length)) return null;
+
+  const sprites = [config.mouthOpen, ...config.blink].filter(Boolean);
+  for (const sprite of sprites) {
+    if (!existsSync(sprite)) throw new RenderError(`Avatar sprite not found: ${sprite}`, { code: 'INVALID_THEME' });
+  }
+
+  const frame = async (sprite, name, level) => {
+    const energy = level / (LEVELS - 1);
+    const grow = 1 + config.scale * energy;
+    const w = Math.round(width * grow / 2) * 2;
+    const h = Math.round(height * grow / 2) * 2;
+    const rise = Math.round(config.bob * energy);
+    const output = join(dir, `${prefix}-${name}-${level}.png`);
+    await runChecked('ffmpeg', [
+      '-y', '-f', 'lavfi', '-i', `color=c=${theme.colors.background}:s=${width}x${height}:d=1`,
+      '-i', sprite,
+      '-filter_complex', `[1:v]scale=${w}:${h}:force_original_aspect_ratio=${fit === 'cover' ? 'increase' : 'decrease'}[s];[0:v][s]overlay=(W-w)/2:(H-h)/2-${rise}`,
+      '-frames:v', '1', output
+    ], { code: 'AVATAR_FAILED' });
+    return output;
+  };
+  const levels = async (sprite, name) => {
+    const out = [];
+    for (let level = 0; level < LEVELS; level++) out.push(await frame(sprite, name, level));
+    return out;
+  };
+
+  const blink = [];
+  for (let i = 0; i < config.blink.length; i++) blink.push(await frame(config.blink[i], `blink${i}`, 0));
+
+  return {
+    sources: [image, ...sprites],
+    threshold: config.threshold,
+    blinkEvery: config.blinkEvery,
+    base: await levels(image, 'base'),
+    mouth: config.mouthOpen ? await levels(config.mouthOpen, 'mouth') : null,
+    blink
+  };
+}
+
+/**
+ * Every cast member's avatar (see hostTheme) prepared like the theme's, as a Map of cast id →
+ * { avatar, avatarFrames }; null without a cast.
+ */
+export async function prepareHosts(theme, cast, { width, height, fit = 'contain', dir }) {
+  if (!cast) return null;
+  const hosts = new Map();
+  for (const member of cast.values()) {
+    const own = hostTheme(theme, member);
+    hosts.set(member.id, {
+      avatar: await resolveAvatar(own, width, height),
+      avatarFrames: await prepareAvatarFrames(own, { width, height, fit, dir, prefix: `avatar-${member.id}` })
+    });
+  }
+  return hosts;
+}
+
+/**
+ * The avatars on screen for beat `index`, in on-set order: [{ avatar, avatarFrames, talking }].
+ * Scripts without a cast get the theme's host, talking.
+ */
+export function beatHosts(script, index, ctx) {
+  if (!ctx.hosts) return [{ avatar: ctx.avatar, avatarFrames: ctx.avatarFrames, talking: true }];
+  const speaker = beatSpeaker(script, index).id;
+  return beatOnSet(script, index).map(id => ({ ...ctx.hosts.get(id), talking: id === speaker }));
+}
+
+/**
+ * ffmpeg input args for a host over one beat: animated by `audio` (track list written to `list`)
+ * while it is the one talking, else its still image.
+ */
+export function avatarInput(host, audio, duration, list) {
+  if (!host.talking || !host.avatarFrames) return ['-i', host.avatar];
+  return ['-f', 'concat', '-safe', '0', '-i', writeAvatarTrack(host.avatarFrames, audio, duration, list)];
+}
+
+/**
+ * Write an ffconcat list animating `frames` over one beat, driven by the energy of `audio`.
+ * Use as an input with `-f concat -safe 0 -i <list>`.
+ */
+export function writeAvatarTrack(frames, audio, duration, list) {
+  const envelope = energyEnvelope(audio, FPS);
+  const count = Math.max(1, Math.ceil(duration * FPS));
+  const blinkStart = Math.round(frames.blinkEvery * FPS / 2);
+  const blinkEvery = Math.max(1, Math.round(frames.blinkEvery * FPS));
+
+  const runs = [];
+  for (let f = 0; f < count; f++) {
+    const energy = envelope[f] ?? 0;
+    const talking = energy >= frames.threshold;
+    const blinkFrame = (f - blinkStart) % blinkEvery;
+    let file;
+    if (!talking && f >= blinkStart && blinkFrame < frames.blink.length) {
+      file = frames.blink[blinkFrame];
+    } else {
+      const level = Math.round(energy * (LEVELS - 1));
+      file = (talking && frames.mouth ? frames.mouth : frames.base)[level];
+    }
+    const last = runs[runs.length - 1];
+    if (last?.file === file) last.frames++;
+    else runs.push({ file, frames: 1 });
+  }
+
+  // The concat demuxer ignores the last entry's duration, so the final image is listed twice.
+  const lines = ['ffconcat version 1.0'];
+  for (const { file, frames: n } of runs) lines.push(`file '${file}'`, `duration ${(n / FPS).toFixed(3)}`);
+  lines.push(`file '${runs[runs.length - 1].file}'`);
+  writeFileSync(list, lines.join('\n') + '\n');
+  return list;
+}
+
+/** The theme's avatar image, else CONFIG.avatarPath if it exists, else null. */
+export function avatarImage(theme) {
+  const image = theme.avatar?.image;
+  if (image) {
+    if (!existsSync(image)) throw new RenderError(`Avatar image not found: ${image}`, { code: 'INVALID_THEME' });
+    return image;
+  }
+  return existsSync(CONFIG.avatarPath) ? CONFIG.avatarPath : null;
+}
@@ -0,0 +1,38 @@
+/**
+ * Layout registry. A layout turns a beat (audio + optional slide) into a beat MP4:
+ *
+ *   { name,
+ *     prepare(ctx),                                  // once per render
+ *     renderSlide?(beat, index, script, ctx) → path,  // layouts without a slide panel omit it
+ *     composeBeat({ beat, index, script, slide, slideVideo, previousSlide, transition, motion,
+ *                   previousMotion, audio, duration, output }, ctx) }
+ *
+ * `transition` (see transitions.mjs) is null for hard cuts; composeBeat plays it over the start of
+ * the beat, blending from `previousSlide`, and pads `audio` to `duration` with short fades.
+ * `motion` (see motion.mjs) is the beat's Ken Burns move, null for stills; layouts apply it to
+ * still images only (slideImage slides, portrait art). `slideVideo` (see slide-video.mjs) is the
+ * beat's probed B-roll clip, played in the slide panel instead of `slide` (its last frame); null
+ * without one, and always null for layouts without renderSlide.
+ *
+ * Any of these may return a promise. `ctx` carries { workDir, theme, geometry, art, slideRenderer,
+ * cast }, plus whatever prepare() adds (avatar, avatarFrames, hosts); `cast` is the script's cast
+ * (see cast.mjs), null for single-host scripts. `geometry` is the theme's `layouts.<name>`
+ * section (width, height, panel sizes, caption style) and `slideRenderer` draws text slides (see
+ * slide-renderers/; null for layouts without a slide panel).
+ */
+
+import { landscape } from './landscape.mjs';
+import { portrait } from './portrait.mjs';
+import { square } from './square.mjs';
+import { RenderError } from '../errors.mjs';
+
+export const LAYOUTS = { landscape, portrait, square };
+
+/** Aspect ratio → layout, for callers that think in output shapes (materialize --aspect). */
+export const ASPECTS = { '16:9': 'landscape', '9:16': 'portrait', '1:1': 'square' };
+
+export function getLayout(name) {
+  const layout = LAYOUTS[name];
+  if (!layout) throw new RenderError(`Unknown layout: ${name} (expected one of: ${Object.keys(LAYOUTS).join(', ')})`, { code: 'UNKNOWN_LAYOUT' });
+  return layout;
+}
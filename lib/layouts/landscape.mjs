@@ -0,0 +1,66 @@
+/**
+ * Landscape layout: avatar panel on the left, slide panel on the right. With two hosts on set
+ * the avatar panel is split, one above the other.
+ * Geometry comes from the theme's `layouts.landscape` ({ width, height, avatarWidth }).
+ */
+
+import { runChecked } from '../exec.mjs';
+import { resolveAvatar, prepareAvatarFrames, prepareHosts, beatHosts, avatarInput } from './avatar.mjs';
+import { renderSlidePng, slidePanel, panelAudio } from './slide.mjs';
+import { watermarkInputs } from './watermark.mjs';
+
+export const landscape = {
+  name: 'landscape',
+
+  async prepare(ctx) {
+    const { height, avatarWidth } = ctx.geometry;
+    ctx.avatar = await resolveAvatar(ctx.theme, avatarWidth, height);
+    ctx.avatarFrames = await prepareAvatarFrames(ctx.theme, { width: avatarWidth, height, dir: ctx.workDir });
+    ctx.hosts = await prepareHosts(ctx.theme, ctx.cast, { width: avatarWidth, height, dir: ctx.workDir });
+  },
+
+  renderSlide(beat, index, script, ctx) {
+    const { width, height, avatarWidth } = ctx.geometry;
+    return renderSlidePng(beat, index, script, ctx, { width: width - avatarWidth, height });
+  },
+
+  async composeBeat(input, ctx) {
+    const { index, script, audio, duration, output } = input;
+    const { theme } = ctx;
+    const { width, height, avatarWidth } = ctx.geometry;
+    const slideWidth = width - avatarWidth;
+    const panel = slidePanel(input, { width: slideWidth, height, duration, color: theme.colors.panel, slideIndex: 2, previousIndex: 4 });
+    // The first host is input 1; a second one follows the slide inputs.
+    const hosts = beatHosts(script, index, ctx);
+    const [avatar, ...others] = hosts.map((host, n) => avatarInput(host, audio, duration, output.replace(/\.mp4$/, `.avatar${n || ''}.txt`)));
+    const othersIndex = 4 + (panel.previousInput.length ? 1 : 0);
+    const hostHeight = Math.floor(height / hosts.length / 2) * 2;
+    const filters = [
+      ...hosts.map((_, n) => `[${n ? othersIndex + n - 1 : 1}:v]scale=${avatarWidth}:${hostHeight}:force_original_aspect_ratio=decrease,pad=${avatarWidth}:${hostHeight}:(ow-iw)/2:(oh-ih)/2:color=${theme.colors.background}[avatar${n}]`),
+      ...panel.filters,
+      `[0:v][slide]overlay=${avatarWidth}:0[bg1]`,
+      ...hosts.map((_, n) => `[${n ? `host${n}` : 'bg1'}][avatar${n}]overlay=0:${n * hostHeight}[${n === hosts.length - 1 ? 'bg2' : `host${n + 1}`}]`),
+      ...panelAudio(input, { from: '[3:a]', out: '[aout]', duration, slideIndex: 2 })
+    ];
+    const mark = watermarkInputs(theme, othersIndex + others.length, '[bg2]', '[out]');
+    filters.push(...mark.filters);
+
+    await runChecked('ffmpeg', [
+      '-y',
+      '-f', 'lavfi', '-i', `color=c=${theme.colors.background}:s=${width}x${height}:d=${duration}`,
+      ...avatar,
+      ...panel.slideInput,
+      '-i', audio,
+      ...panel.previousInput,
+      ...others.flat(),
+      ...mark.inputs,
+      '-filter_complex', filters.join(';'),
+      '-map', '[out]',
+      '-map', '[aout]',
+      '-c:v', 'libx264', '-preset', 'fast', '-crf', '23',
+      '-c:a', 'aac', '-b:a', '128k',
+      '-shortest',
+      output
+    ], { beat: index });
+  }
+};
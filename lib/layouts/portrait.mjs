@@ -0,0 +1,103 @@
+/**
+ * Portrait mood-short layout: optional full-bleed art (with per-beat Ken Burns motion), dark text band at the bottom.
+ * Geometry comes from the theme's `layouts.portrait` ({ width, height, bandHeight, bandOpacity, titleSize, bodySize }).
+ */
+
+import { existsSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { runChecked, filterPath } from '../exec.mjs';
+import { themeFont } from '../fonts.mjs';
+import { watermarkInputs } from './watermark.mjs';
+import { beatAudio } from '../transitions.mjs';
+import { kenBurns } from '../motion.mjs';
+import { plainSlideBody } from '../markdown.mjs';
+
+export const portrait = {
+  name: 'portrait',
+
+  /** Text is drawn directly onto the beat in composeBeat, so there is no renderSlide. */
+  prepare(ctx) {
+    ctx.art = ctx.art && existsSync(ctx.art) ? ctx.art : null;
+  },
+
+  async composeBeat({ beat, index, script, transition, motion, audio, duration, output }, ctx) {
+    const { theme } = ctx;
+    const { width, height, bandHeight = 600, bandOpacity = 0.75, titleSize = 52, bodySize = 36 } = ctx.geometry;
+    const fontfile = `'${filterPath(themeFont(theme).file)}'`;
+    const filterParts = [];
+    const inputs = ['-f', 'lavfi', '-i', `color=c=${theme.colors.background}:s=${width}x${height}:d=${duration}`];
+    let streamIdx = 1;
+
+    if (ctx.art) {
+      inputs.push('-i', ctx.art);
+      const still = `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},setsar=1`;
+      filterParts.push(`[${streamIdx}:v]${motion ? kenBurns(motion, { width, height, duration }) : still}[art]`);
+      filterParts.push(`[0:v][art]overlay=0:0:shortest=1[bg]`);
+      streamIdx++;
+    } else {
+      filterParts.push(`[0:v]copy[bg]`);
+    }
+
+    inputs.push('-f', 'lavfi', '-i', `color=c=0x000000:s=${width}x${bandHeight}:d=${duration}`);
+    filterParts.push(`[${streamIdx}:v]format=rgba,colorchannelmixer=aa=${bandOpacity}[darkband]`);
+    filterParts.push(`[bg][darkband]overlay=0:${height - bandHeight}[bg2]`);
+    streamIdx++;
+
+    const bandTop = height - bandHeight;
+    // Text goes through drawtext textfiles, so titles and body lines need no filter escaping.
+    let files = 0;
+    const drawText = (value, options) => {
+      const file = join(ctx.workDir, `beat-${index}-text-${files++}.txt`);
+      writeFileSync(file, value);
+      return `drawtext=textfile='${filterPath(file)}':expansion=none:fontfile=${fontfile}:${options}`;
+    };
+    const bandText = (b, { alpha = '1', shift = '', until = null } = {}) => {
+      const anim = `alpha='${alpha}':x='(w-tw)/2${shift}'` + (until ? `:enable='lt(t,${until})'` : '');
+      const bodyLines = plainSlideBody(b.slideBody || '').slice(0, 6);
+      const chain = [drawText(b.slideTitle || script.title || '', `fontsize=${titleSize}:fontcolor=${b.slideAccent || theme.colors.accent}:${anim}:y=${bandTop + 80}`)];
+      for (let j = 0; j < bodyLines.length; j++) {
+        if (bodyLines[j].trim()) {
+          chain.push(drawText(bodyLines[j], `fontsize=${bodySize}:fontcolor=${theme.colors.text}:${anim}:y=${bandTop + 160 + j * Math.round(bodySize * 1.4)}`));
+        }
+      }
+      return chain.join(',');
+    };
+
+    // No slide panel here: the band text transitions instead (dip-to-color dips into the band).
+    let textFilters;
+    if (transition && index > 0) {
+      const d = Math.min(transition.duration, duration);
+      const [outgoing, incoming] = {
+        'crossfade': [{ alpha: `max(1-t/${d},0)` }, { alpha: `min(t/${d},1)` }],
+        'slide-wipe': [{ shift: `-w*min(t/${d},1)` }, { shift: `+w*max(1-t/${d},0)` }],
+        'dip-to-color': [{ alpha: `max(1-2*t/${d},0)` }, { alpha: `clip(2*t/${d}-1,0,1)` }]
+      }[transition.type];
+      textFilters = `${bandText(script.beats[index - 1], { ...outgoing, until: d })},${bandText(beat, incoming)}`;
+    } else {
+      textFilters = bandText(beat);
+    }
+    if (theme.watermark?.text && !theme.watermark.image) {
+      textFilters += `,${drawText(theme.watermark.text, `fontsize=18:fontcolor=${theme.colors.text}@${theme.watermark.opacity ?? 0.3}:x=w-tw-30:y=30`)}`;
+    }
+    filterParts.push(`[bg2]${textFilters}[txt]`);
+    inputs.push('-i', audio);
+    const audioIdx = streamIdx++;
+    filterParts.push(beatAudio(`[${audioIdx}:a]`, '[aout]', duration));
+
+    const mark = watermarkInputs(theme, streamIdx, '[txt]', '[out]');
+    inputs.push(...mark.inputs);
+    filterParts.push(...mark.filters);
+
+    await runChecked('ffmpeg', [
+      '-y',
+      ...inputs,
+      '-filter_complex', filterParts.join(';'),
+      '-map', '[out]',
+      '-map', '[aout]',
+      '-c:v', 'libx264', '-preset', 'fast', '-crf', '23',
+      '-c:a', 'aac', '-b:a', '128k',
+      '-shortest',
+      output
+    ], { beat: index });
+  }
+};
@@ -0,0 +1,75 @@
+/**
+ * Slide panel PNG for a beat: the beat's slideImage, a chart of its `chart` series, else its text
+ * drawn by the render's slide renderer.
+ */
+
+import { copyFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { panelTransition, beatAudio } from '../transitions.mjs';
+import { kenBurns } from '../motion.mjs';
+import { renderChartSlide } from '../chart.mjs';
+import { slideModel } from '../slide-renderers/index.mjs';
+import { slideVideoInput, slideVideoAudio } from '../slide-video.mjs';
+
+/**
+ * ffmpeg inputs + filters for a beat's slide panel (width×height, output label `out`): the slide
+ * still or the beat's `slideVideo` clip, Ken Burns `motion` when the beat's slide is a slideImage,
+ * and the transition in from the previous slide (held at the end of its own motion). The caller
+ * places `slideInput` at input number `slideIndex` and `previousInput` (empty without a
+ * transition) at `previousIndex`.
+ */
+export function slidePanel({ beat, index, script, slide, slideVideo, previousSlide, transition, motion, previousMotion }, { width, height, duration, color, slideIndex, previousIndex, out = '[slide]' }) {
+  const still = `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2:color=${color}`;
+  const moving = motion && beat.slideImage && !slideVideo;
+  const previousMoving = previousMotion && script.beats[index - 1]?.slideImage && !script.beats[index - 1].slideVideo;
+  const fade = transition && previousSlide;
+  const loop = ['-loop', '1', '-t', String(duration)];
+  const current = moving ? kenBurns(motion, { width, height, duration }) : still;
+  // A clip shorter than the beat ends early; the overlay it feeds holds its last frame.
+  const clip = slideVideo && slideVideoInput(slideVideo, duration);
+
+  if (!fade) {
+    return { slideInput: clip || ['-i', slide], previousInput: [], filters: [`[${slideIndex}:v]${current}${out}`] };
+  }
+  const previous = previousMoving ? kenBurns(previousMotion, { width, height, duration, hold: true }) : still;
+  return {
+    // A moving slide must stay a single frame: zoompan expands it to the whole beat.
+    slideInput: clip || [...(moving ? [] : loop), '-i', slide],
+    previousInput: [...loop, '-i', previousSlide],
+    filters: [
+      `[${slideIndex}:v]${current}[cur]`,
+      `[${previousIndex}:v]${previous}[prev]`,
+      ...panelTransition(transition, '[prev]', '[cur]', out, duration)
+    ]
+  };
+}
+
+/**
+ * Beat audio filters: the narration from `from` padded to the beat (see beatAudio), with the slide
+ * video's own sound mixed under it when it has some and isn't muted. Output label `out`.
+ */
+export function panelAudio({ slideVideo }, { from, out, duration, slideIndex }) {
+  const broll = slideVideoAudio(slideVideo, slideIndex, '[broll]', duration);
+  if (!broll) return [beatAudio(from, out, duration)];
+  return [
+    beatAudio(from, '[voice]', duration),
+    broll,
+    // amix halves both inputs; neither drops out early, so doubling restores the voice level.
+    `[voice][broll]amix=inputs=2:duration=first:dropout_transition=0,volume=2${out}`
+  ];
+}
+
+/**
+ * Render beat `index`'s slide at `size` ({ width, height }) into the work dir with
+ * `ctx.slideRenderer` (see slide-renderers/); returns the PNG path.
+ */
+export async function renderSlidePng(beat, index, script, ctx, size) {
+  const slidePng = join(ctx.workDir, `slide-${index}.png`);
+
+  if (beat.slideImage && existsSync(beat.slideImage)) {
+    copyFileSync(beat.slideImage, slidePng);
+    return slidePng;
+  }
+  if (beat.chart) return renderChartSlide(beat, index, script, ctx, size, slidePng);
+  return ctx.slideRenderer.render(slideModel(beat, index, script, ctx.theme, size), slidePng, ctx);
+}
@@ -0,0 +1,64 @@
+/**
+ * Square (1:1) feed layout: full-frame slide with the avatar as an inset in the bottom-left corner
+ * (two hosts on set: two insets side by side).
+ * Geometry comes from the theme's `layouts.square` ({ width, height, avatarSize, avatarMargin }).
+ */
+
+import { runChecked } from '../exec.mjs';
+import { resolveAvatar, prepareAvatarFrames, prepareHosts, beatHosts, avatarInput } from './avatar.mjs';
+import { renderSlidePng, slidePanel, panelAudio } from './slide.mjs';
+import { watermarkInputs } from './watermark.mjs';
+
+export const square = {
+  name: 'square',
+
+  async prepare(ctx) {
+    const { avatarSize = 240 } = ctx.geometry;
+    ctx.avatar = await resolveAvatar(ctx.theme, avatarSize, avatarSize);
+    ctx.avatarFrames = await prepareAvatarFrames(ctx.theme, { width: avatarSize, height: avatarSize, fit: 'cover', dir: ctx.workDir });
+    ctx.hosts = await prepareHosts(ctx.theme, ctx.cast, { width: avatarSize, height: avatarSize, fit: 'cover', dir: ctx.workDir });
+  },
+
+  renderSlide(beat, index, script, ctx) {
+    const { width, height } = ctx.geometry;
+    return renderSlidePng(beat, index, script, ctx, { width, height });
+  },
+
+  async composeBeat(input, ctx) {
+    const { index, script, audio, duration, output } = input;
+    const { theme } = ctx;
+    const { width, height, avatarSize = 240, avatarMargin = 30 } = ctx.geometry;
+    const panel = slidePanel(input, { width, height, duration, color: theme.colors.panel, slideIndex: 1, previousIndex: 4 });
+    // The first host is input 2; a second one follows the slide inputs.
+    const hosts = beatHosts(script, index, ctx);
+    const [avatar, ...others] = hosts.map((host, n) => avatarInput(host, audio, duration, output.replace(/\.mp4$/, `.avatar${n || ''}.txt`)));
+    const othersIndex = 4 + (panel.previousInput.length ? 1 : 0);
+    const filters = [
+      ...panel.filters,
+      ...hosts.map((_, n) => `[${n ? othersIndex + n - 1 : 2}:v]scale=${avatarSize}:${avatarSize}:force_original_aspect_ratio=increase,crop=${avatarSize}:${avatarSize}[avatar${n}]`),
+      `[0:v][slide]overlay=0:0[bg1]`,
+      ...hosts.map((_, n) => `[${n ? `host${n}` : 'bg1'}][avatar${n}]overlay=${avatarMargin + n * (avatarSize + avatarMargin)}:${height - avatarSize - avatarMargin}[${n === hosts.length - 1 ? 'bg2' : `host${n + 1}`}]`),
+      ...panelAudio(input, { from: '[3:a]', out: '[aout]', duration, slideIndex: 1 })
+    ];
+    const mark = watermarkInputs(theme, othersIndex + others.length, '[bg2]', '[out]');
+    filters.push(...mark.filters);
+
+    await runChecked('ffmpeg', [
+      '-y',
+      '-f', 'lavfi', '-i', `color=c=${theme.colors.background}:s=${width}x${height}:d=${duration}`,
+      ...panel.slideInput,
+      ...avatar,
+      '-i', audio,
+      ...panel.previousInput,
+      ...others.flat(),
+      ...mark.inputs,
+      '-filter_complex', filters.join(';'),
+      '-map', '[out]',
+      '-map', '[aout]',
+      '-c:v', 'libx264', '-preset', 'fast', '-crf', '23',
+      '-c:a', 'aac', '-b:a', '128k',
+      '-shortest',
+      output
+    ], { beat: index });
+  }
+};
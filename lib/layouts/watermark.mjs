@@ -0,0 +1,24 @@
+/**
+ * Logo watermark shared by the layouts: when the theme sets `watermark.image`, it is scaled to
+ * `watermark.width` and overlaid in the top-right corner at `watermark.opacity`.
+ */
+
+import { existsSync } from 'fs';
+
+/**
+ * Extra ffmpeg inputs + filter_complex chains taking `from` to `to`.
+ * `index` is the input number the logo will get. Without a logo, `from` is passed through.
+ */
+export function watermarkInputs(theme, index, from, to) {
+  const { image, width = 160, opacity = 0.3 } = theme.watermark || {};
+  if (!image || !existsSync(image)) {
+    return { inputs: [], filters: [`${from}null${to}`] };
+  }
+  return {
+    inputs: ['-i', image],
+    filters: [
+      `[${index}:v]scale=${width}:-1,format=rgba,colorchannelmixer=aa=${opacity}[logo]`,
+      `${from}[logo]overlay=W-w-40:30${to}`
+    ]
+  };
+}
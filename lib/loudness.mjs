@@ -0,0 +1,79 @@
+/**
+ * Two-pass EBU R128 loudness normalization (ffmpeg loudnorm): measure the finished mix, then apply
+ * a linear gain to hit the target integrated loudness with true-peak limiting. Segments rendered
+ * with the same target play back-to-back in stream-engine without volume jumps.
+ */
+
+import { copyFileSync } from 'fs';
+import { runChecked } from './exec.mjs';
+import { RenderError } from './errors.mjs';
+
+/** Integrated loudness targets (LUFS) by platform. */
+export const LOUDNESS_TARGETS = { youtube: -14, streaming: -14, podcast: -16 };
+export const DEFAULT_LOUDNESS = LOUDNESS_TARGETS.streaming;
+
+/** Ceiling for inter-sample peaks (dBTP) and loudness range, shared by every target. */
+const TRUE_PEAK = -1;
+const LRA = 11;
+
+/**
+ * `loudness` option → { integrated, truePeak, lra }, or null when disabled (false / 'off').
+ * Accepts a preset name (youtube, streaming, podcast) or a LUFS number / numeric string.
+ */
+export function resolveLoudness(option = DEFAULT_LOUDNESS) {
+  if (option === false || option === 'off') return null;
+  const integrated = LOUDNESS_TARGETS[option] ?? Number(option);
+  if (!Number.isFinite(integrated) || integrated < -70 || integrated > -5) {
+    throw new RenderError(`Unknown loudness target: ${option} (expected LUFS between -70 and -5, one of: ${Object.keys(LOUDNESS_TARGETS).join(', ')}, or off)`, { code: 'INVALID_OPTION' });
+  }
+  return { integrated, truePeak: TRUE_PEAK, lra: LRA };
+}
+
+/**
+ * Normalize the audio of `input` into `output` (video is copied).
+ *
+ * @returns {Promise<{ target: object, input: object, output: object|null }>} measured
+ *   { integrated, truePeak, lra } before and after; `output` is null for silent input, which is copied as-is.
+ */
+export async function normalizeLoudness(input, output, target) {
+  const base = `loudnorm=I=${target.integrated}:TP=${target.truePeak}:LRA=${target.lra}`;
+  const first = await runChecked('ffmpeg', ['-hide_banner', '-i', input, '-vn', '-af', `${base}:print_format=json`, '-f', 'null', '-'], { code: 'LOUDNESS_FAILED' });
+  const measured = parseStats(first.stderr);
+  if (!measured) throw new RenderError('Loudness measurement failed', { code: 'LOUDNESS_FAILED' });
+
+  if (!Number.isFinite(Number(measured.input_i))) {
+    copyFileSync(input, output);
+    return { target, input: pick(measured, 'input'), output: null };
+  }
+
+  const second = await runChecked('ffmpeg', [
+    '-hide_banner', '-y', '-i', input,
+    '-af', `${base}:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}:measured_LRA=${measured.input_lra}:measured_thresh=${measured.input_thresh}:offset=${measured.target_offset}:linear=true:print_format=json,aresample=44100`,
+    '-c:v', 'copy',
+    '-c:a', 'aac', '-b:a', '192k',
+    output
+  ], { code: 'LOUDNESS_FAILED' });
+  const applied = parseStats(second.stderr);
+  if (!applied) throw new RenderError(`Loudness normalization failed: ${output}`, { code: 'LOUDNESS_FAILED' });
+  return { target, input: pick(measured, 'input'), output: pick(applied, 'output') };
+}
+
+/** loudnorm prints its JSON report as the last {...} block on stderr. */
+function parseStats(stderr = '') {
+  const start = stderr.lastIndexOf('{');
+  const end = stderr.lastIndexOf('}');
+  if (start < 0 || end < start) return null;
+  try {
+    return JSON.parse(stderr.slice(start, end + 1));
+  } catch {
+    return null;
+  }
+}
+
+function pick(stats, prefix) {
+  return {
+    integrated: Number(stats[`${prefix}_i`]),
+    truePeak: Number(stats[`${prefix}_tp`]),
+    lra: Number(stats[`${prefix}_lra`])
+  };
+}
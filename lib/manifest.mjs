@@ -0,0 +1,89 @@
+/**
+ * Render manifest: a JSON sidecar (`out.manifest.json` next to `out.mp4`) recording what went into
+ * a render and what came out: script hash, beat offsets, voice, slide renderer, tool versions,
+ * loudness, duration and a checksum of the file. Feed, playlist and caption tools can read it
+ * instead of probing the video again.
+ */
+
+import { createReadStream, statSync, writeFileSync } from 'fs';
+import { createHash } from 'crypto';
+import { basename } from 'path';
+import { run } from './exec.mjs';
+import { hashString } from './cache.mjs';
+
+/** Bumped when fields are renamed or removed; new fields don't change it. */
+export const MANIFEST_VERSION = 1;
+
+const versions = new Map();
+
+/** Sidecar path for a render output: `out.mp4` → `out.manifest.json`. */
+export function manifestPath(output) {
+  return output.replace(/\.[^./\\]+$/, '') + '.manifest.json';
+}
+
+/**
+ * Write the manifest for a finished render next to `output`; returns its path.
+ *
+ * @param {object} render - { script, output, duration, beats, layout, theme, width, height, tts: { engine, voice },
+ *   cast: [{ id, name, engine, voice }] | null, slideRenderer, loudness, captions, chapters, thumbnail }
+ */
+export async function writeManifest({ script, output, duration, beats, layout, theme, width, height, tts, cast = null, slideRenderer, loudness, captions, chapters = null, thumbnail = null }) {
+  const [ffmpeg, ffprobe, sha256] = await Promise.all([toolVersion('ffmpeg'), toolVersion('ffprobe'), hashFileStream(output)]);
+  const manifest = {
+    version: MANIFEST_VERSION,
+    createdAt: new Date().toISOString(),
+    output: basename(output),
+    file: { bytes: statSync(output).size, sha256 },
+    duration: round(duration),
+    width,
+    height,
+    layout,
+    theme,
+    script: { title: script.title ?? null, sha256: hashString(JSON.stringify(script)), beats: script.beats.length },
+    tts,
+    cast,
+    slideRenderer,
+    tools: { ffmpeg, ffprobe },
+    loudness,
+    captions: captions && basename(captions),
+    chapters: chapters && chapters.map(c => ({ title: c.title, start: round(c.start), end: round(c.end), beats: c.beats })),
+    thumbnail: thumbnail && basename(thumbnail),
+    beats: beats.map(b => ({
+      index: b.index,
+      ...(b.speaker ? { speaker: b.speaker } : {}),
+      start: round(b.start),
+      end: round(b.end),
+      speechStart: round(b.start + b.lead),
+      speech: round(b.speech),
+      text: b.text
+    }))
+  };
+  const path = manifestPath(output);
+  writeFileSync(path, JSON.stringify(manifest, null, 2) + '\n');
+  return path;
+}
+
+/** `ffmpeg -version` → '6.1.1' (memoized); null if the tool doesn't answer. */
+async function toolVersion(tool) {
+  if (!versions.has(tool)) {
+    const { stdout = '' } = await run(tool, ['-version']);
+    versions.set(tool, /version (\S+)/.exec(stdout)?.[1] ?? null);
+  }
+  return versions.get(tool);
+}
+
+/** sha256 of a file without reading it into memory (renders can be large). */
+function hashFileStream(path) {
+  return new Promise((resolve, reject) => {
+    const hash = createHash('sha256');
+    createReadStream(path)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')))
+      .on('error', reject);
+  });
+}
+
+/** Millisecond precision is plenty for offsets and keeps the file readable. */
+function round(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
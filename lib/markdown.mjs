@@ -0,0 +1,66 @@
+/**
+ * The Markdown subset slide bodies may use. One body line is one slide line:
+ *
+ *   - item / * item / • item     bullet
+ *   1. item / 1) item            numbered
+ *   **bold** __bold__  *italic* _italic_  `code`
+ *
+ * Signed percentages (+5%, -3.2%) are picked out as up/down numbers for the theme's up/down colors.
+ * Anything else is plain text; there is no escaping and no block syntax beyond lists.
+ */
+
+const BULLET = /^\s*[-*•]\s+(.*)$/;
+const NUMBERED = /^\s*(\d+)[.)]\s+(.*)$/;
+const INLINE = /`([^`]+)`|\*\*(.+?)\*\*|__(.+?)__|(?<!\w)\*(?!\s)(.+?)\*(?!\w)|(?<!\w)_(?!\s)(.+?)_(?!\w)/g;
+const TREND = /(?<![\w.])([+\-−])\d[\d,]*(?:\.\d+)?%/g;
+
+/**
+ * Body text → lines: { list: null | 'bullet' | 'number', marker: '•' | '3.' | null,
+ * spans: [{ text, bold, italic, code, trend: null | 'up' | 'down' }] }.
+ */
+export function parseSlideBody(text) {
+  return String(text).split('\n').map(line => {
+    const bullet = BULLET.exec(line);
+    if (bullet) return { list: 'bullet', marker: '•', spans: inline(bullet[1]) };
+    const numbered = NUMBERED.exec(line);
+    if (numbered) return { list: 'number', marker: `${numbered[1]}.`, spans: inline(numbered[2]) };
+    return { list: null, marker: null, spans: inline(line) };
+  });
+}
+
+/** A parsed line as plain text, list marker included ("• Fees are up +5%"). */
+export function plainLine({ marker, spans }) {
+  return (marker ? `${marker} ` : '') + spans.map(s => s.text).join('');
+}
+
+/** Body text with the markup stripped, one string per line (for drawtext, which can't style spans). */
+export function plainSlideBody(text) {
+  return parseSlideBody(text).map(plainLine);
+}
+
+function inline(text, style = { bold: false, italic: false }) {
+  const spans = [];
+  let last = 0;
+  for (const match of text.matchAll(INLINE)) {
+    spans.push(...trends(text.slice(last, match.index), style));
+    const [, code, bold1, bold2, italic1, italic2] = match;
+    if (code !== undefined) spans.push({ text: code, ...style, code: true, trend: null });
+    else if (bold1 ?? bold2) spans.push(...inline(bold1 ?? bold2, { ...style, bold: true }));
+    else spans.push(...inline(italic1 ?? italic2, { ...style, italic: true }));
+    last = match.index + match[0].length;
+  }
+  spans.push(...trends(text.slice(last), style));
+  return spans;
+}
+
+function trends(text, style) {
+  const spans = [];
+  let last = 0;
+  for (const match of text.matchAll(TREND)) {
+    if (match.index > last) spans.push({ text: text.slice(last, match.index), ...style, code: false, trend: null });
+    spans.push({ text: match[0], ...style, code: false, trend: match[1] === '+' ? 'up' : 'down' });
+    last = match.index + match[0].length;
+  }
+  if (last < text.length) spans.push({ text: text.slice(last), ...style, code: false, trend: null });
+  return spans;
+}
@@ -0,0 +1,90 @@
+/**
+ * Background music: a bed under the whole segment, ducked while the narration speaks
+ * (sidechain compression keyed on the voice), plus per-beat stingers played as a beat starts.
+ *
+ *   "music": { "file": "bed.mp3", "volume": 0.2, "fadeIn": 1, "fadeOut": 2, "loop": true }
+ *   beat: "music": "stinger.mp3"   or   { "file": "stinger.mp3", "volume": 0.8 }
+ */
+
+import { existsSync } from 'fs';
+import { runChecked } from './exec.mjs';
+import { RenderError } from './errors.mjs';
+
+export const DEFAULT_MUSIC = { volume: 0.2, fadeIn: 1, fadeOut: 2, loop: true, duck: true };
+
+/** Common format so the voice can key the compressor and all streams can be mixed. */
+const FORMAT = 'aformat=sample_fmts=fltp:sample_rates=44100:channel_layouts=stereo';
+const DUCK = 'sidechaincompress=threshold=0.02:ratio=8:attack=20:release=400';
+
+/**
+ * Music settings for a render: the script's `music` block with `override` (a file path or a partial
+ * block, e.g. from --music) on top, and beat stingers. Null when there is nothing to mix.
+ * Throws RenderError if a file is missing, before any TTS is spent.
+ *
+ * @returns {{ bed: object|null, stingers: { beat: number, file: string, volume: number }[] } | null}
+ */
+export function resolveMusic(script, override) {
+  const overrides = typeof override === 'string' ? { file: override } : override;
+  const block = script.music || overrides ? { ...DEFAULT_MUSIC, ...script.music, ...overrides } : null;
+  const bed = block?.file ? block : null;
+  if (bed && !existsSync(bed.file)) {
+    throw new RenderError(`Music file not found: ${bed.file}`, { code: 'MUSIC_NOT_FOUND' });
+  }
+
+  const stingers = [];
+  script.beats.forEach((beat, index) => {
+    if (!beat.music) return;
+    const { file, volume = 1 } = typeof beat.music === 'string' ? { file: beat.music } : beat.music;
+    if (!existsSync(file)) {
+      throw new RenderError(`Beat ${index}: music file not found: ${file}`, { code: 'MUSIC_NOT_FOUND', beat: index });
+    }
+    stingers.push({ beat: index, file, volume });
+  });
+
+  return bed || stingers.length ? { bed, stingers } : null;
+}
+
+/**
+ * Mix `music` (from resolveMusic) under the narration of `input`, writing `output`.
+ * `beats` are the timed beats ({ start }) so stingers land on their beat; the video is copied.
+ */
+export async function mixMusic(input, output, music, { beats, duration }) {
+  const { bed, stingers } = music;
+  const inputs = ['-i', input];
+  const filters = [];
+  const mix = ['[voice]'];
+
+  if (bed?.duck) {
+    filters.push(`[0:a]${FORMAT},asplit=2[voice][key]`);
+  } else {
+    filters.push(`[0:a]${FORMAT}[voice]`);
+  }
+
+  if (bed) {
+    inputs.push(...(bed.loop ? ['-stream_loop', '-1'] : []), '-i', bed.file);
+    const fadeOutStart = Math.max(0, duration - bed.fadeOut);
+    filters.push(`[1:a]${FORMAT},volume=${bed.volume},atrim=0:${duration},afade=t=in:d=${bed.fadeIn},afade=t=out:st=${fadeOutStart}:d=${bed.fadeOut},apad${bed.duck ? '[bed0]' : '[bed]'}`);
+    if (bed.duck) filters.push(`[bed0][key]${DUCK}[bed]`);
+    mix.push('[bed]');
+  }
+
+  stingers.forEach(({ beat, file, volume }, i) => {
+    const idx = (bed ? 2 : 1) + i;
+    const delay = Math.round(beats[beat].start * 1000);
+    inputs.push('-i', file);
+    filters.push(`[${idx}:a]${FORMAT},volume=${volume},adelay=${delay}|${delay},apad[sting${i}]`);
+    mix.push(`[sting${i}]`);
+  });
+
+  // amix scales every input by 1/n; the padded extra inputs never drop out, so scaling back by n is exact.
+  filters.push(`${mix.join('')}amix=inputs=${mix.length}:duration=first:dropout_transition=0,volume=${mix.length}[aout]`);
+
+  await runChecked('ffmpeg', [
+    '-y', ...inputs,
+    '-filter_complex', filters.join(';'),
+    '-map', '0:v', '-map', '[aout]',
+    '-c:v', 'copy',
+    '-c:a', 'aac', '-b:a', '192k',
+    output
+  ], { code: 'MUSIC_FAILED' });
+}
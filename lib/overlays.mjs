@@ -0,0 +1,139 @@
+/**
+ * Broadcast overlays drawn over the finished segment: a scrolling market ticker along the bottom
+ * and per-beat lower-third name/title cards. Both are configured in the theme and/or script; the
+ * script's `ticker` block is layered over the theme's (`"ticker": false` turns it off).
+ *
+ *   "ticker": { "items": [{ "symbol": "TOWEL", "price": 0.0000039, "change24h": -12.3 }], "label": "MARKETS" }
+ *   "ticker": { "source": "tokens" }                  (CONFIG.tokens entries with symbol / price / change24h)
+ *   beat: "lowerThird": "Marvin"   or   { "name": "Marvin", "title": "Chief Pessimist", "duration": 5 }
+ *
+ * In scripts with a `cast`, each host also gets a card with their `name` and `title` on the first
+ * beat they speak, unless that beat has a lowerThird of its own.
+ */
+
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { CONFIG } from './config.mjs';
+import { runChecked, filterPath } from './exec.mjs';
+import { formatValue } from './chart.mjs';
+import { themeFont } from './fonts.mjs';
+import { beatSpeaker } from './cast.mjs';
+import { isSilent } from './timing.mjs';
+import { RenderError } from './errors.mjs';
+
+export const TICKER_DEFAULTS = { items: [], source: null, label: null, speed: 120, height: 56, fontSize: 28 };
+export const LOWER_THIRD_DEFAULTS = { duration: 4, nameSize: 40, titleSize: 28, margin: 60 };
+
+/** Delay after the beat starts before its lower third appears (seconds). */
+const LOWER_THIRD_DELAY = 0.3;
+const PAD = 14;
+
+/**
+ * Overlays for a render: { ticker, lowerThirds }, or null when there are none.
+ * Throws RenderError for a ticker with nothing to show, before any TTS is spent.
+ *
+ * @returns {{ ticker: object|null, lowerThirds: { beat: number, name: string, title: string|null, duration: number }[] } | null}
+ */
+export function resolveOverlays(script, theme) {
+  const block = script.ticker === false ? null : { ...TICKER_DEFAULTS, ...theme.ticker, ...script.ticker };
+  let ticker = null;
+  if (block && (block.source || block.items.length)) {
+    const items = block.source ? tokenItems(block.source) : block.items;
+    if (!items.length) {
+      throw new RenderError(`Ticker source "${block.source}" has no tokens (add entries to CONFIG.tokens)`, { code: 'INVALID_TICKER' });
+    }
+    ticker = { ...block, items, text: items.map(tickerText).join('     •     ') };
+  }
+
+  const style = { ...LOWER_THIRD_DEFAULTS, ...theme.lowerThird };
+  const lowerThirds = [];
+  const introduced = new Set();
+  script.beats.forEach((beat, index) => {
+    const speaker = isSilent(beat) ? null : beatSpeaker(script, index);
+    const intro = speaker && !introduced.has(speaker.id) && { name: speaker.name, title: speaker.title };
+    if (intro) introduced.add(speaker.id);
+    const card = beat.lowerThird || intro;
+    if (!card) return;
+    const { name, title = null, duration = style.duration } = typeof card === 'string' ? { name: card } : card;
+    lowerThirds.push({ beat: index, name, title, duration });
+  });
+
+  return ticker || lowerThirds.length ? { ticker, lowerThirds, style } : null;
+}
+
+/**
+ * Draw `overlays` onto `input` into `output` (audio is copied). `beats` carry the start/end
+ * offsets lower thirds are timed against; text files for drawtext go in `workDir`.
+ */
+export async function drawOverlays(input, output, overlays, { beats, theme, workDir }) {
+  const { ticker, lowerThirds, style } = overlays;
+  const { colors } = theme;
+  const font = filterPath(themeFont(theme).file);
+  const filters = [];
+  let files = 0;
+  const text = (value, options) => {
+    const file = join(workDir, `overlay-${files++}.txt`);
+    writeFileSync(file, value);
+    filters.push(`drawtext=textfile='${filterPath(file)}':expansion=none:fontfile='${font}':${options}`);
+  };
+  const bottom = ticker ? ticker.height : 0;
+
+  for (const { beat, name, title, duration } of lowerThirds) {
+    const start = beats[beat].start + LOWER_THIRD_DELAY;
+    const end = Math.min(beats[beat].end, start + duration);
+    if (end <= start) continue;
+    const enable = `enable='between(t,${start.toFixed(3)},${end.toFixed(3)})'`;
+    // Distances up from the bottom edge: the title box sits on `base`, the name box on top of it,
+    // and an accent bar runs down the left of both.
+    const base = bottom + style.margin;
+    const nameBase = base + (title ? style.titleSize + PAD * 2 : 0);
+    const top = nameBase + style.nameSize + PAD * 2;
+    const x = style.margin + 8 + PAD;
+    filters.push(`drawbox=x=${style.margin}:y=ih-${top}:w=8:h=${top - base}:color=${colors.accent}:t=fill:${enable}`);
+    text(name, `fontsize=${style.nameSize}:fontcolor=${colors.text}:box=1:boxcolor=${colors.panel}@0.9:boxborderw=${PAD}:x=${x}:y=h-${nameBase + PAD + style.nameSize}:${enable}`);
+    if (title) text(title, `fontsize=${style.titleSize}:fontcolor=${colors.background}:box=1:boxcolor=${colors.accent}@0.9:boxborderw=${PAD}:x=${x}:y=h-${base + PAD + style.titleSize}:${enable}`);
+  }
+
+  if (ticker) {
+    const { height, fontSize, speed, label } = ticker;
+    const y = `h-${height}+${Math.round((height - fontSize) / 2)}`;
+    filters.push(
+      `drawbox=x=0:y=ih-${height}:w=iw:h=${height}:color=${colors.background}@0.9:t=fill`,
+      `drawbox=x=0:y=ih-${height}:w=iw:h=2:color=${colors.accent}:t=fill`
+    );
+    // Enters from the right edge and wraps once the whole line has scrolled off the left.
+    text(ticker.text, `fontsize=${fontSize}:fontcolor=${colors.text}:x='w-mod(t*${speed},w+tw)':y=${y}`);
+    if (label) {
+      const border = Math.round((height - fontSize) / 2);
+      text(label, `fontsize=${fontSize}:fontcolor=${colors.background}:box=1:boxcolor=${colors.accent}:boxborderw=${border}:x=${border}:y=${y}`);
+    }
+  }
+
+  await runChecked('ffmpeg', [
+    '-y', '-i', input,
+    '-vf', filters.join(','),
+    '-c:v', 'libx264', '-preset', 'fast', '-crf', '23',
+    '-c:a', 'copy',
+    output
+  ], { code: 'OVERLAYS_FAILED' });
+}
+
+/** "TOWEL $0.00000389 -12.3%" — price and change are left out when unknown. */
+function tickerText({ symbol, price, change24h }) {
+  return [
+    symbol,
+    Number.isFinite(price) ? formatValue(price, 'usd') : null,
+    Number.isFinite(change24h) ? formatValue(change24h, 'percent') : null
+  ].filter(Boolean).join(' ');
+}
+
+function tokenItems(source) {
+  if (source !== 'tokens') {
+    throw new RenderError(`Unknown ticker source: ${source} (expected tokens, or inline items)`, { code: 'INVALID_TICKER' });
+  }
+  return Object.entries(CONFIG.tokens).map(([key, token]) => ({
+    symbol: token.symbol || key,
+    price: token.price,
+    change24h: token.change24h ?? token.priceChange24h
+  }));
+}
@@ -0,0 +1,208 @@
+/**
+ * Minimal in-process raster canvas + PNG encoder (RGBA, no dependencies), for graphics the
+ * renderer draws itself instead of shelling out (chart plots, SVG slides).
+ */
+
+import { deflateSync } from 'zlib';
+import { RenderError } from './errors.mjs';
+
+/** Sample rows per pixel row when filling paths. */
+const SUBSAMPLES = 5;
+
+/**
+ * Blank width×height RGBA canvas with antialiased primitives. Colors are '#rrggbb' / '#rgb'
+ * strings; `alpha` (0..1) multiplies them.
+ */
+export function createCanvas(width, height) {
+  const pixels = new Uint8ClampedArray(width * height * 4);
+
+  const blend = (x, y, [r, g, b], alpha) => {
+    if (x < 0 || y < 0 || x >= width || y >= height || alpha <= 0) return;
+    const i = (y * width + x) * 4;
+    const a = Math.min(1, alpha);
+    const base = pixels[i + 3] / 255;
+    const out = a + base * (1 - a);
+    pixels[i] = (r * a + pixels[i] * base * (1 - a)) / out;
+    pixels[i + 1] = (g * a + pixels[i + 1] * base * (1 - a)) / out;
+    pixels[i + 2] = (b * a + pixels[i + 2] * base * (1 - a)) / out;
+    pixels[i + 3] = out * 255;
+  };
+
+  return {
+    width,
+    height,
+    pixels,
+
+    fillRect(x0, y0, x1, y1, color, alpha = 1) {
+      const rgb = parseColor(color);
+      for (let y = Math.max(0, Math.round(y0)); y < Math.min(height, Math.round(y1)); y++) {
+        for (let x = Math.max(0, Math.round(x0)); x < Math.min(width, Math.round(x1)); x++) blend(x, y, rgb, alpha);
+      }
+    },
+
+    /** Polyline of [x, y] points, `thickness` px wide with round joins. */
+    line(points, color, thickness = 2, alpha = 1) {
+      const rgb = parseColor(color);
+      const r = thickness / 2;
+      for (let s = 0; s < points.length - 1 || s === 0; s++) {
+        const [ax, ay] = points[s];
+        const [bx, by] = points[Math.min(s + 1, points.length - 1)];
+        const dx = bx - ax;
+        const dy = by - ay;
+        const len2 = dx * dx + dy * dy || 1;
+        for (let y = Math.floor(Math.min(ay, by) - r - 1); y <= Math.ceil(Math.max(ay, by) + r + 1); y++) {
+          for (let x = Math.floor(Math.min(ax, bx) - r - 1); x <= Math.ceil(Math.max(ax, bx) + r + 1); x++) {
+            const t = Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / len2));
+            const dist = Math.hypot(x - (ax + t * dx), y - (ay + t * dy));
+            const coverage = Math.min(1, r + 0.5 - dist);
+            // Segments overlap at joins; keep the stronger coverage instead of stacking.
+            if (coverage > 0) blendMax(x, y, rgb, coverage * alpha);
+          }
+        }
+        if (points.length === 1) break;
+      }
+    },
+
+    /** Fill between a polyline and `baseline`, fading from `alpha` at the line to 0 at the baseline. */
+    area(points, baseline, color, alpha = 0.3) {
+      const rgb = parseColor(color);
+      for (let s = 0; s < points.length - 1; s++) {
+        const [ax, ay] = points[s];
+        const [bx, by] = points[s + 1];
+        for (let x = Math.round(ax); x < Math.round(bx); x++) {
+          const top = ay + (by - ay) * (x - ax) / ((bx - ax) || 1);
+          for (let y = Math.round(top); y < baseline; y++) blend(x, y, rgb, alpha * (baseline - y) / ((baseline - top) || 1));
+        }
+      }
+    },
+
+    circle(cx, cy, radius, color, alpha = 1) {
+      const rgb = parseColor(color);
+      for (let y = Math.floor(cy - radius - 1); y <= Math.ceil(cy + radius + 1); y++) {
+        for (let x = Math.floor(cx - radius - 1); x <= Math.ceil(cx + radius + 1); x++) {
+          blend(x, y, rgb, Math.min(1, radius + 0.5 - Math.hypot(x - cx, y - cy)) * alpha);
+        }
+      }
+    },
+
+    /**
+     * Fill closed polygons (arrays of [x, y]) with the nonzero winding rule, antialiased by
+     * sampling each pixel row at several heights and accumulating exact horizontal coverage.
+     */
+    fillPath(polygons, color, alpha = 1) {
+      const rgb = parseColor(color);
+      const edges = [];
+      for (const poly of polygons) {
+        for (let i = 0; i < poly.length; i++) {
+          const [x0, y0] = poly[i];
+          const [x1, y1] = poly[(i + 1) % poly.length];
+          if (y0 !== y1) edges.push({ x0, y0, x1, y1, dir: y1 > y0 ? 1 : -1 });
+        }
+      }
+      if (!edges.length) return;
+      const xs = edges.flatMap(e => [e.x0, e.x1]);
+      const ys = edges.flatMap(e => [e.y0, e.y1]);
+      const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+      const left = Math.max(0, Math.floor(minX));
+      const right = Math.min(width, Math.ceil(maxX) + 1);
+      if (right <= left) return;
+      const cover = new Float32Array(right - left + 1);
+      const span = (a, b, weight) => {
+        a = Math.max(a, left) - left;
+        b = Math.min(b, right) - left;
+        if (b <= a) return;
+        const ia = Math.floor(a);
+        const ib = Math.floor(b);
+        if (ia === ib) {
+          cover[ia] += (b - a) * weight;
+          return;
+        }
+        cover[ia] += (ia + 1 - a) * weight;
+        for (let k = ia + 1; k < ib; k++) cover[k] += weight;
+        cover[ib] += (b - ib) * weight;
+      };
+
+      for (let y = Math.max(0, Math.floor(minY)); y < Math.min(height, Math.ceil(maxY)); y++) {
+        cover.fill(0);
+        for (let s = 0; s < SUBSAMPLES; s++) {
+          const sy = y + (s + 0.5) / SUBSAMPLES;
+          const crossings = [];
+          for (const e of edges) {
+            if (sy < Math.min(e.y0, e.y1) || sy >= Math.max(e.y0, e.y1)) continue;
+            crossings.push([e.x0 + (sy - e.y0) * (e.x1 - e.x0) / (e.y1 - e.y0), e.dir]);
+          }
+          crossings.sort((a, b) => a[0] - b[0]);
+          let winding = 0;
+          for (let i = 0; i < crossings.length - 1; i++) {
+            winding += crossings[i][1];
+            if (winding !== 0) span(crossings[i][0], crossings[i + 1][0], 1 / SUBSAMPLES);
+          }
+        }
+        for (let x = left; x < right; x++) {
+          if (cover[x - left] > 0) blend(x, y, rgb, Math.min(1, cover[x - left]) * alpha);
+        }
+      }
+    },
+
+    toPng() {
+      return encodePng(width, height, pixels);
+    }
+  };
+
+  function blendMax(x, y, rgb, alpha) {
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    const i = (y * width + x) * 4;
+    const same = pixels[i] === rgb[0] && pixels[i + 1] === rgb[1] && pixels[i + 2] === rgb[2];
+    if (same && pixels[i + 3] >= alpha * 255) return;
+    blend(x, y, rgb, same ? (alpha * 255 - pixels[i + 3]) / (255 - pixels[i + 3]) : alpha);
+  }
+}
+
+/** '#rrggbb' or '#rgb' → [r, g, b]. */
+export function parseColor(color) {
+  const hex = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color))?.[1];
+  if (!hex) throw new RenderError(`Unsupported color: ${color} (expected #rrggbb)`, { code: 'INVALID_THEME' });
+  const full = hex.length === 3 ? hex.replace(/./g, c => c + c) : hex;
+  return [0, 2, 4].map(i => parseInt(full.slice(i, i + 2), 16));
+}
+
+/** RGBA pixels → PNG file contents. */
+export function encodePng(width, height, pixels) {
+  const raw = Buffer.alloc((width * 4 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (width * 4 + 1)] = 0;
+    Buffer.from(pixels.buffer, pixels.byteOffset + y * width * 4, width * 4).copy(raw, y * (width * 4 + 1) + 1);
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bit depth
+  header[9] = 6; // RGBA
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', header),
+    chunk('IDAT', deflateSync(raw)),
+    chunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+function chunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
@@ -0,0 +1,97 @@
+/**
+ * Console reporter for renderSegment() progress events and failures (shared by the assembler CLIs).
+ */
+
+import { CommandError } from './errors.mjs';
+import { YOUTUBE_MIN_CHAPTERS } from './chapters.mjs';
+
+export function logProgress(event) {
+  switch (event.stage) {
+    case 'start':
+      console.log(`\n🎬 ${event.layout === 'portrait' ? 'Mood Short' : 'Segment'}: ${event.title}`);
+      console.log(`   ${event.beats} beats | ${event.width}x${event.height} | Theme: ${event.theme}${event.slides ? ` | Slides: ${event.slides}` : ''} | TTS: ${event.tts} | Jobs: ${event.jobs}\n`);
+      break;
+    case 'tts':
+      console.log('🎤 Generating TTS...');
+      break;
+    case 'tts:beat':
+      console.log(event.text
+        ? `   Beat ${event.index}${event.speaker ? ` [${event.speaker}]` : ''}: ${event.duration.toFixed(1)}s — "${event.text.slice(0, 50)}..."`
+        : `   Beat ${event.index}: silent`);
+      break;
+    case 'slides':
+      console.log('\n🖼️  Generating slides...');
+      break;
+    case 'slides:beat':
+      console.log(`   Slide ${event.index}: ${event.slide}`);
+      break;
+    case 'assemble':
+      console.log('\n🎬 Assembling beats...');
+      break;
+    case 'assemble:beat':
+      console.log(`   Beat ${event.index}: ✓`);
+      break;
+    case 'concat':
+      console.log('\n🔗 Concatenating...');
+      break;
+    case 'overlays': {
+      const parts = [event.ticker && `ticker (${event.ticker} item${event.ticker === 1 ? '' : 's'})`, event.lowerThirds && `${event.lowerThirds} lower third${event.lowerThirds === 1 ? '' : 's'}`];
+      console.log(`📺 Overlays: ${parts.filter(Boolean).join(', ')}`);
+      break;
+    }
+    case 'music':
+      console.log(`🎵 Mixing music${event.bed ? `: ${event.bed}` : ''}${event.stingers ? ` (+${event.stingers} stinger${event.stingers === 1 ? '' : 's'})` : ''}`);
+      break;
+    case 'loudness':
+      console.log(event.output
+        ? `🔊 Loudness: ${event.input.integrated.toFixed(1)} → ${event.output.integrated.toFixed(1)} LUFS (target ${event.target.integrated}, true peak ${event.output.truePeak.toFixed(1)} dBTP)`
+        : '🔊 Loudness: silent, left as-is');
+      break;
+    case 'captions':
+      console.log(event.path ? `   Captions: ${event.path} (${event.cues} cues)` : `   Captions burned in (${event.cues} cues)`);
+      break;
+    case 'chapters':
+      console.log(`📑 Chapters: ${event.count} → ${event.list}${event.count < YOUTUBE_MIN_CHAPTERS ? ` (YouTube shows chapters only with ${YOUTUBE_MIN_CHAPTERS} or more)` : ''}`);
+      break;
+    case 'thumbnail':
+      console.log(`🖼️  Thumbnail: ${event.path}`);
+      break;
+    case 'cache': {
+      const parts = Object.entries(event.stats).map(([kind, { hits, misses }]) => `${kind} ${hits}/${hits + misses}`);
+      console.log(`\n💾 Cache hits: ${parts.join(', ') || 'none'} (${event.usage.files} files, ${(event.usage.bytes / 1e6).toFixed(1)} MB${event.pruned ? `, ${event.pruned} pruned` : ''})`);
+      break;
+    }
+    case 'done':
+      if (event.dryRun) {
+        console.log('\n✅ Dry run complete. Files in:', event.workDir);
+        console.log(`   Total duration: ${event.duration.toFixed(1)}s`);
+      } else {
+        console.log(`\n✅ Rendered: ${event.output}`);
+        console.log(`   Duration: ${event.duration.toFixed(1)}s`);
+        console.log(`   Resolution: ${event.width}x${event.height}`);
+        if (event.manifest) console.log(`   Manifest: ${event.manifest}`);
+      }
+      break;
+  }
+}
+
+/**
+ * Console report for a failed render: the message, then the command line and stderr tail of each
+ * external step that failed, and where the work files were kept.
+ */
+export function logError(error, label = 'Render failed') {
+  console.error(`\n❌ ${label}: ${error.message}`);
+  for (const failure of error.failures?.map(f => f.error) ?? [error]) {
+    const command = commandError(failure);
+    if (!command) continue;
+    console.error(`\n   ${command.beat != null ? `Beat ${command.beat}: ` : ''}${command.command}`);
+    for (const line of command.stderr.split('\n').filter(Boolean)) console.error(`   │ ${line}`);
+  }
+  if (error.workDir) console.error(`\n   Work files kept in: ${error.workDir}`);
+}
+
+/** The CommandError behind `error` (itself, or somewhere down its `cause` chain), if any. */
+function commandError(error) {
+  while (error && !(error instanceof CommandError)) error = error.cause;
+  return error;
+}
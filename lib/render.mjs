@@ -0,0 +1,485 @@
+/**
+ * Programmatic render pipeline: script JSON → TTS + slides → per-beat MP4s → concatenated MP4.
+ * Used by assemble-segment, assemble-mood-short and anything else that renders in-process.
+ *
+ *   import { renderSegment } from 'segment-stream/render';
+ *   const { output, beats } = await renderSegment(script, { layout: 'portrait', tts: { engine: 'macos' } });
+ */
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync, readdirSync, unlinkSync, rmSync } from 'fs';
+import { join, dirname } from 'path';
+import { cpus } from 'os';
+import { CONFIG } from './config.mjs';
+import { runChecked, probeDuration, filterPath, mapLimit } from './exec.mjs';
+import { resolveTTS, synthesizeBeat, ttsFingerprint } from './voice.mjs';
+import { createCache, hashFile, hashString } from './cache.mjs';
+import { getLayout } from './layouts/index.mjs';
+import { resolveSlideRenderer } from './slide-renderers/index.mjs';
+import { resolveTransition, overlapPicture, audioCrossfade, AUDIO_CROSSFADE } from './transitions.mjs';
+import { resolveMotion, MOTIONS } from './motion.mjs';
+import { resolveChart } from './chart.mjs';
+import { resolveSlideVideo, probeSlideVideo, slideVideoStill, loopableSlideVideo } from './slide-video.mjs';
+import { resolveMusic, mixMusic } from './music.mjs';
+import { spokenText, isSilent, ttsText, beatTiming, writeSilence, delayAudio } from './timing.mjs';
+import { resolveLoudness, normalizeLoudness } from './loudness.mjs';
+import { resolveOverlays, drawOverlays } from './overlays.mjs';
+import { themeFont, captionFont } from './fonts.mjs';
+import { loadTheme, themeLayout } from './theme.mjs';
+import { validateScript } from './validate.mjs';
+import { writeManifest } from './manifest.mjs';
+import { resolveChapters, buildChapters, writeChapterFiles, embedChapters } from './chapters.mjs';
+import { resolveCast, beatSpeaker, speakerTTS } from './cast.mjs';
+import { resolveThumbnail, thumbnailTemplate, renderThumbnail, thumbnailPath } from './thumbnail.mjs';
+import { buildCues, buildWordCues, resolveCaptionStyle, writeCaptions, CAPTION_FORMATS, CAPTION_POSITIONS } from './captions.mjs';
+import { RenderError, ScriptError, TTSError, BeatsError } from './errors.mjs';
+
+export { RenderError, ScriptError, TTSError, BeatsError, CommandError } from './errors.mjs';
+
+/** Length of the placeholder WAV for a silent beat; the layouts pad audio to the beat anyway. */
+const SILENCE_CLIP = 0.1;
+
+/** Default worker pool size: one per core, capped so TTS APIs aren't flooded. */
+export const DEFAULT_JOBS = Math.max(1, Math.min(4, cpus().length));
+
+/**
+ * Render a script to MP4.
+ *
+ * @param {object} script - { title, ticker?, beats: [{ text?, pauseBefore?, pauseAfter?, minDuration?, duration?, slideTitle?, slideBody?, slideAccent?, slideImage?, slideVideo?, chart?, lowerThird? }] }
+ * @param {object} [options]
+ * @param {string} [options.layout='landscape'] - 'landscape' (avatar + slide), 'portrait' (mood short) or 'square'
+ * @param {string} [options.theme] - Theme name or .json path (default: script.theme, then 'default')
+ * @param {object} [options.tts] - { engine: 'elevenlabs' | 'macos', voice: 'Daniel' }
+ * @param {string} [options.output] - Output MP4 path (default: CONFIG.paths.output/segment-<ts>.mp4)
+ * @param {string} [options.workDir] - Temp directory for intermediates (emptied before use, removed after a successful render)
+ * @param {boolean} [options.keepWork] - Keep the work dir after a successful render (it is always kept after a failure or dry run)
+ * @param {string} [options.art] - Background art image (portrait layout)
+ * @param {string} [options.slideRenderer='auto'] - Text slide backend: 'svg', 'wkhtmltoimage', 'drawtext' or 'auto' (first available)
+ * @param {'srt'|'vtt'|'burn'|'words'} [options.captions] - Write a subtitle sidecar next to the output, burn captions in,
+ *   or burn word-by-word highlighted captions
+ * @param {string} [options.motion] - Ken Burns motion for still images, replacing script.motion: 'zoom-in', 'zoom-out',
+ *   'pan-left', 'pan-right', 'auto' or 'none' (beats with their own `motion` keep it)
+ * @param {string|object} [options.music] - Music bed file, or a partial `music` block, layered over script.music
+ * @param {number|string|false} [options.loudness=-14] - Integrated loudness target in LUFS, a preset
+ *   ('youtube', 'streaming', 'podcast'), or false to skip normalization
+ * @param {object} [options.captionStyle] - { position: 'top'|'center'|'bottom', fontSize, highlight, color } for burned captions
+ * @param {boolean|object} [options.cache=true] - Reuse unchanged beats from CONFIG.cacheDir; false to disable, or a createCache() instance
+ * @param {object} [options.voiceTrack] - Result of synthesizeScript() to reuse instead of running TTS again
+ * @param {number} [options.jobs] - Beats processed concurrently in each stage (TTS, slides, encodes); default DEFAULT_JOBS
+ * @param {boolean} [options.dryRun] - Stop after TTS and slides; no video is encoded
+ * @param {boolean|number|object} [options.chapters] - Embed chapters from beat titles and write YouTube chapter/description
+ *   text files; a number (or { minLength }) sets the shortest chapter in seconds (default 10)
+ * @param {boolean|number|object} [options.thumbnail] - Write a thumbnail next to the output (out.mp4 → out.thumbnail.png,
+ *   1080×1920 for portrait, else 1280×720); a beat index (or { beat, highlight }) uses that beat's slide as the background
+ * @param {boolean} [options.manifest] - Write a manifest sidecar (out.mp4 → out.manifest.json: timings, hashes, voice, tool versions)
+ * @param {(event: object) => void} [options.onProgress] - Receives { stage, ... } progress events
+ * @returns {Promise<{ output: string|null, duration: number, beats: object[], captions: string|null, chapters: object[]|null, thumbnail: string|null, manifest: string|null, loudness: object|null, cache: object, workDir: string|null, layout: string, theme: string }>}
+ *   `workDir` is null once removed. Failures throw a RenderError; its `workDir` names the kept work dir.
+ */
+export async function renderSegment(script, options = {}) {
+  const { workDir = join(CONFIG.workDir, `.segment-work-${process.pid}`), keepWork = false, dryRun = false } = options;
+  let result;
+  try {
+    result = await render(script, { ...options, workDir });
+  } catch (error) {
+    if (error instanceof RenderError && existsSync(workDir)) error.workDir = workDir;
+    throw error;
+  }
+  if (keepWork || dryRun) return result;
+  rmSync(workDir, { recursive: true, force: true });
+  return { ...result, workDir: null };
+}
+
+/** renderSegment() minus the work dir cleanup; `options.workDir` is always set. */
+async function render(script, options) {
+  const {
+    layout: layoutName = 'landscape',
+    theme: themeRef = script?.theme,
+    tts: ttsOptions = {},
+    output: outputPath,
+    workDir,
+    art = null,
+    slideRenderer: slideRendererName = 'auto',
+    captions = null,
+    captionStyle = {},
+    music: musicOverride,
+    motion: motionOverride,
+    loudness: loudnessOption,
+    voiceTrack = null,
+    jobs = DEFAULT_JOBS,
+    dryRun = false,
+    manifest = false,
+    chapters: chaptersOption = false,
+    thumbnail: thumbnailOption = false,
+    onProgress = () => {}
+  } = options;
+  const cache = openCache(options.cache);
+
+  checkScript(script);
+  const layout = getLayout(layoutName);
+  const theme = loadTheme(themeRef);
+  const geometry = themeLayout(theme, layout.name);
+  const tts = voiceTrack ? null : resolveTTS(ttsOptions);
+  if (voiceTrack && voiceTrack.beats.length !== script.beats.length) {
+    throw new RenderError(`voiceTrack has ${voiceTrack.beats.length} beats, script has ${script.beats.length}`, { code: 'INVALID_OPTION' });
+  }
+  if (captions && !CAPTION_FORMATS.includes(captions)) {
+    throw new RenderError(`Unknown captions format: ${captions} (expected one of: ${CAPTION_FORMATS.join(', ')})`, { code: 'INVALID_OPTION' });
+  }
+  if (captionStyle.position && !CAPTION_POSITIONS.includes(captionStyle.position)) {
+    throw new RenderError(`Unknown caption position: ${captionStyle.position} (expected one of: ${CAPTION_POSITIONS.join(', ')})`, { code: 'INVALID_OPTION' });
+  }
+  if (motionOverride && !MOTIONS.includes(motionOverride)) {
+    throw new RenderError(`Unknown motion: ${motionOverride} (expected one of: ${MOTIONS.join(', ')})`, { code: 'INVALID_OPTION' });
+  }
+  checkJobs(jobs);
+  const music = resolveMusic(script, musicOverride);
+  const loudnessTarget = resolveLoudness(loudnessOption);
+  const chapterOptions = resolveChapters(chaptersOption);
+  const thumbnailOptions = resolveThumbnail(thumbnailOption, script);
+  const overlays = resolveOverlays(script, theme);
+  // Layouts without a slide panel (shorts) have nowhere to play B-roll.
+  const slideVideos = script.beats.map((beat, i) => layout.renderSlide ? resolveSlideVideo(beat, i) : null);
+  const burn = captions === 'burn' || captions === 'words';
+  const slideRenderer = layout.renderSlide ? resolveSlideRenderer(slideRendererName, theme) : null;
+  // Text drawn by ffmpeg or the SVG renderer needs a font file; a missing one should fail here, before any TTS is spent.
+  if (!layout.renderSlide || slideRenderer.name !== 'wkhtmltoimage' || overlays || script.beats.some(b => b.chart)) themeFont(theme);
+  if (burn) captionFont(theme);
+  const thumbnailFormat = layout.name === 'portrait' ? 'portrait' : 'landscape';
+  if (thumbnailOptions) thumbnailTemplate(theme, thumbnailFormat);
+
+  if (existsSync(workDir)) {
+    readdirSync(workDir).forEach(f => unlinkSync(join(workDir, f)));
+  } else {
+    mkdirSync(workDir, { recursive: true });
+  }
+
+  const ctx = { workDir, art, theme, geometry, slideRenderer, cast: resolveCast(script) };
+  await layout.prepare(ctx);
+  onProgress({ stage: 'start', title: script.title, beats: script.beats.length, layout: layout.name, theme: theme.name, width: geometry.width, height: geometry.height, slides: slideRenderer?.name ?? null, tts: voiceTrack ? voiceTrack.tts : tts.engine, jobs });
+
+  const track = voiceTrack || await synthesizeScript(script, { tts: ttsOptions, workDir, timestamps: captions === 'words', cache, jobs, onProgress });
+  const beats = [];
+  let offset = 0;
+  for (const { index, speaker = null, text, audio, words, speech } of track.beats) {
+    const { lead, duration } = beatTiming(script.beats[index], index, speech);
+    beats.push({ index, speaker, text, audio, words, speech, lead, duration, start: offset, end: offset + duration });
+    offset += duration;
+  }
+  // pauseBefore goes into the audio file itself, so everything reading it (avatar mouth, mix) agrees.
+  await eachBeat(beats, jobs, async b => {
+    if (b.lead && b.speech) b.audio = await delayAudio(b.audio, join(workDir, `beat-${b.index}.lead.wav`), b.lead);
+  });
+
+  // Everything beat renders share: layout, geometry and the theme (including its template and logo).
+  const shared = {
+    layout: layout.name,
+    geometry,
+    theme: hashString(JSON.stringify(theme) + [theme.slide.template, theme.slide.svg].filter(Boolean).map(f => readFileSync(f, 'utf8')).join('')),
+    watermark: hashFile(theme.watermark?.image),
+    title: script.title,
+    count: script.beats.length,
+    cast: script.cast ?? null,
+    onSet: script.onSet ?? null
+  };
+
+  if (layout.renderSlide) {
+    onProgress({ stage: 'slides' });
+    await eachBeat(script.beats, jobs, async (beat, i) => {
+      const video = slideVideos[i] && (beats[i].slideVideo = await probeSlideVideo(slideVideos[i], i));
+      // A video beat's still is the frame it ends on, which the next beat transitions from.
+      const key = video
+        ? cache.key('slide', { video, duration: beats[i].duration })
+        : cache.key('slide', { ...shared, renderer: slideRenderer.name, index: i, beat, image: hashFile(beat.slideImage), chart: beat.chart && resolveChart(beat.chart, i) });
+      beats[i].slide = cache.lookup('slide', key, 'png')
+        || cache.store('slide', key, 'png', video
+          ? await slideVideoStill(video, beats[i].duration, join(workDir, `slide-${i}.png`))
+          : await layout.renderSlide(beat, i, script, ctx));
+      onProgress({ stage: 'slides:beat', index: i, slide: beats[i].slide });
+    });
+  }
+
+  if (dryRun) {
+    const duration = beats.reduce((s, b) => s + b.duration, 0);
+    onProgress({ stage: 'done', dryRun: true, workDir, duration });
+    return { output: null, duration, beats, captions: null, loudness: null, cache: cache.stats, workDir, layout: layout.name, theme: theme.name };
+  }
+
+  onProgress({ stage: 'assemble' });
+  const hosts = [ctx, ...ctx.hosts?.values() ?? []];
+  const assets = [ctx.art, ...hosts.flatMap(host => [host.avatar, ...(host.avatarFrames?.sources ?? [])])].map(hashFile);
+  await eachBeat(script.beats, jobs, async (beat, i) => {
+    const transition = resolveTransition(script, i, theme);
+    const previousSlide = transition ? beats[i - 1].slide : undefined;
+    const motion = resolveMotion(script, i, motionOverride);
+    const previousMotion = transition ? resolveMotion(script, i - 1, motionOverride) : null;
+    const key = cache.key('beat', {
+      ...shared,
+      assets,
+      index: i,
+      beat,
+      transition,
+      motion,
+      previous: transition && { beat: script.beats[i - 1], slide: hashFile(previousSlide), motion: previousMotion },
+      slide: hashFile(beats[i].slide),
+      slideVideo: beats[i].slideVideo ?? null,
+      audio: hashFile(beats[i].audio),
+      duration: beats[i].duration
+    });
+    let video = cache.lookup('beat', key, 'mp4');
+    if (!video) {
+      const beatMp4 = join(workDir, `beat-${i}.mp4`);
+      const slideVideo = beats[i].slideVideo && await loopableSlideVideo(beats[i].slideVideo, join(workDir, `broll-${i}.mp4`));
+      await layout.composeBeat({
+        beat,
+        index: i,
+        script,
+        slide: beats[i].slide,
+        slideVideo: slideVideo ?? null,
+        previousSlide,
+        transition,
+        motion,
+        previousMotion,
+        audio: beats[i].audio,
+        duration: beats[i].duration,
+        output: beatMp4
+      }, ctx);
+      if (!existsSync(beatMp4)) throw new RenderError(`Beat ${i} failed to encode`, { code: 'BEAT_FAILED', beat: i });
+      video = cache.store('beat', key, 'mp4', beatMp4);
+    }
+    beats[i].video = video;
+    onProgress({ stage: 'assemble:beat', index: i });
+  });
+
+  // Encoded beats can differ slightly from the planned length (-shortest, frame rounding);
+  // re-time from what was actually produced so offsets line up with the concatenated output.
+  const encoded = await Promise.all(beats.map(b => probeDuration(b.video)));
+  for (const b of beats) {
+    if (!encoded[b.index]) throw new RenderError(`Beat ${b.index} encoded to an unreadable file: ${b.video}`, { code: 'BEAT_FAILED', beat: b.index });
+  }
+  // Each beat starts `overlap` before the previous one ends: their audio crossfades there while
+  // the previous picture plays out. A beat spans from its own start to the next one's, so later
+  // offsets move up by the overlap.
+  const overlap = encoded.every(d => d > 2 * AUDIO_CROSSFADE) ? AUDIO_CROSSFADE : 0;
+  offset = 0;
+  for (const b of beats) {
+    b.start = offset;
+    b.duration = encoded[b.index] - (b === beats.at(-1) ? 0 : overlap);
+    b.end = offset + b.duration;
+    b.speech = Math.min(b.speech, Math.max(0, encoded[b.index] - b.lead));
+    offset = b.end;
+  }
+
+  onProgress({ stage: 'concat' });
+  const concatList = join(workDir, 'concat.txt');
+  writeFileSync(concatList, beats.map(b => `file '${b.video}'`).join('\n'));
+
+  const output = outputPath || join(CONFIG.paths.output, `segment-${Date.now()}.mp4`);
+  mkdirSync(dirname(output), { recursive: true });
+
+  // Finishing passes run in this order, each reading the previous file; the last one writes `output`.
+  const passes = [overlays && 'overlays', music && 'music', loudnessTarget && 'loudness', burn && 'captions', chapterOptions && 'chapters'].filter(Boolean);
+  const passOutput = pass => pass === passes.at(-1) ? output : join(workDir, `${pass}.mp4`);
+  const concatOutput = passes.length ? join(workDir, 'concat.mp4') : output;
+  // The pictures are decoded back to back with each beat's first `overlap` dropped, then encoded
+  // once; the audio is rebuilt from the beat files with a crossfade at every boundary.
+  const starts = beats.slice(1).map((_, i) => encoded.slice(0, i + 1).reduce((sum, d) => sum + d, 0));
+  await runChecked('ffmpeg', [
+    '-y', '-f', 'concat', '-safe', '0', '-i', concatList,
+    ...beats.flatMap(b => ['-i', b.video]),
+    '-filter_complex', [overlapPicture(starts, overlap, '[0:v]', '[vout]'), ...audioCrossfade(encoded, 1, overlap, '[aout]')].join(';'),
+    '-map', '[vout]', '-map', '[aout]',
+    '-c:v', 'libx264', '-preset', 'fast', '-crf', '23',
+    '-c:a', 'aac', '-b:a', '128k',
+    concatOutput
+  ], { code: 'CONCAT_FAILED' });
+
+  let current = concatOutput;
+  if (overlays) {
+    onProgress({ stage: 'overlays', ticker: overlays.ticker?.items.length ?? 0, lowerThirds: overlays.lowerThirds.length });
+    await drawOverlays(current, passOutput('overlays'), overlays, { beats, theme, workDir });
+    current = passOutput('overlays');
+  }
+  if (music) {
+    onProgress({ stage: 'music', bed: music.bed?.file ?? null, stingers: music.stingers.length });
+    await mixMusic(current, passOutput('music'), music, { beats, duration: offset });
+    current = passOutput('music');
+  }
+
+  let loudness = null;
+  if (loudnessTarget) {
+    loudness = await normalizeLoudness(current, passOutput('loudness'), loudnessTarget);
+    onProgress({ stage: 'loudness', ...loudness });
+    current = passOutput('loudness');
+  }
+
+  let captionsPath = null;
+  if (captions) {
+    const maxChars = geometry.captions?.maxChars;
+    const cues = captions === 'words' ? buildWordCues(beats, { maxChars }) : buildCues(beats, { maxChars });
+    if (burn) {
+      const font = captionFont(theme);
+      const style = resolveCaptionStyle({ font: font.family, highlight: theme.colors.accent, ...geometry.captions }, captionStyle);
+      // Keep bottom captions clear of the ticker band.
+      if (overlays?.ticker && style.alignment === 2) style.marginV = (style.marginV ?? 0) + overlays.ticker.height;
+      const assPath = writeCaptions(cues, join(workDir, 'captions.ass'), 'ass', { width: geometry.width, height: geometry.height, style });
+      await runChecked('ffmpeg', [
+        '-y', '-i', current,
+        '-vf', `ass=${filterPath(assPath)}:fontsdir=${filterPath(dirname(font.file))}`,
+        '-c:v', 'libx264', '-preset', 'fast', '-crf', '23',
+        '-c:a', 'copy',
+        passOutput('captions')
+      ], { code: 'CAPTIONS_FAILED' });
+      current = passOutput('captions');
+    } else {
+      captionsPath = writeCaptions(cues, output.replace(/\.[^./\\]+$/, '') + `.${captions}`, captions);
+    }
+    onProgress({ stage: 'captions', format: captions, path: captionsPath, cues: cues.length });
+  }
+
+  let chapters = null;
+  if (chapterOptions) {
+    chapters = buildChapters(beats, script, chapterOptions);
+    await embedChapters(current, passOutput('chapters'), chapters, { title: script.title, workDir });
+    current = passOutput('chapters');
+    onProgress({ stage: 'chapters', count: chapters.length, ...writeChapterFiles(chapters, output, script) });
+  }
+
+  let thumbnail = null;
+  if (thumbnailOptions) {
+    const { beat, highlight } = thumbnailOptions;
+    thumbnail = await renderThumbnail(script, {
+      output: thumbnailPath(output),
+      format: thumbnailFormat,
+      theme,
+      beat,
+      // Reuse the slide already rendered for the panel; layouts without one draw it at thumbnail size.
+      slide: beat === null ? null : beats[beat].slide ?? null,
+      highlight,
+      slideRenderer: slideRendererName,
+      workDir
+    });
+    onProgress({ stage: 'thumbnail', path: thumbnail });
+  }
+
+  if (cache.enabled) onProgress({ stage: 'cache', stats: cache.stats, usage: cache.usage(), pruned: cache.pruned ?? 0 });
+
+  const duration = await probeDuration(output);
+  let manifestPath = null;
+  if (manifest) {
+    manifestPath = await writeManifest({
+      script,
+      output,
+      duration,
+      beats,
+      layout: layout.name,
+      theme: theme.name,
+      width: geometry.width,
+      height: geometry.height,
+      tts: { engine: track.tts, voice: track.voice ?? null },
+      cast: track.cast ? script.cast.map(({ id, name }) => ({ id, name, ...track.cast[id] })) : null,
+      slideRenderer: slideRenderer?.name ?? null,
+      loudness,
+      captions: captionsPath,
+      chapters,
+      thumbnail
+    });
+  }
+  onProgress({ stage: 'done', output, duration, manifest: manifestPath, width: geometry.width, height: geometry.height });
+  return { output, duration, beats, captions: captionsPath, chapters, thumbnail, manifest: manifestPath, loudness, cache: cache.stats, workDir, layout: layout.name, theme: theme.name };
+}
+
+/**
+ * Run TTS for every beat of a script into `workDir` (created if needed, not emptied). Silent
+ * beats get a short silent WAV instead; `[pause]` markers become the engine's own breaks. The
+ * result can be handed to several renderSegment() calls as `voiceTrack`, e.g. to render
+ * landscape, portrait and square variants from one pass.
+ *
+ * @returns {Promise<{ tts: string, voice: string, cast: object|null, workDir: string, beats: { index, speaker, text, audio, words, speech }[] }>}
+ *   `cast` maps each cast id to the { engine, voice } it was voiced with (null without a cast).
+ */
+export async function synthesizeScript(script, { tts: ttsOptions = {}, workDir, timestamps = false, cache: cacheOption, jobs = DEFAULT_JOBS, onProgress = () => {} } = {}) {
+  checkScript(script);
+  checkJobs(jobs);
+  const tts = resolveTTS(ttsOptions);
+  // Each cast member speaks with its own engine and voice; single-host scripts use `tts` throughout.
+  const cast = resolveCast(script);
+  const voices = new Map([...cast?.values() ?? []].map(member => [member.id, resolveTTS(speakerTTS(member, ttsOptions))]));
+  const cache = openCache(cacheOption);
+  mkdirSync(workDir, { recursive: true });
+
+  onProgress({ stage: 'tts' });
+  const beats = await eachBeat(script.beats, jobs, async (beat, i) => {
+    const speaker = beatSpeaker(script, i)?.id ?? null;
+    const voice = voices.get(speaker) ?? tts;
+    if (isSilent(beat)) {
+      const audio = await writeSilence(join(workDir, `beat-${i}.wav`), SILENCE_CLIP);
+      onProgress({ stage: 'tts:beat', index: i, speaker, duration: 0, text: '' });
+      return { index: i, speaker, text: '', audio, words: null, speech: 0 };
+    }
+    const key = cache.key('tts', { text: beat.text, timestamps, ...ttsFingerprint(voice) });
+    let audio = cache.lookup('tts', key, 'wav');
+    let words = null;
+    if (audio) {
+      const timings = cache.peek('tts', key, 'json');
+      words = timings ? JSON.parse(readFileSync(timings, 'utf8')) : null;
+    } else {
+      ({ audio, words } = await synthesizeBeat(ttsText(beat.text, voice.engine), {
+        wavPath: join(workDir, `beat-${i}.wav`),
+        basePath: join(workDir, `beat-${i}`),
+        tts: voice,
+        timestamps,
+        beat: i
+      }));
+      audio = cache.store('tts', key, 'wav', audio);
+      if (words) {
+        const timings = join(workDir, `beat-${i}.words.json`);
+        writeFileSync(timings, JSON.stringify(words));
+        cache.store('tts', key, 'json', timings);
+      }
+    }
+    const speech = await probeDuration(audio);
+    if (!speech) throw new TTSError(`TTS audio for beat ${i} is empty or unreadable: ${audio}`, { beat: i });
+    const text = spokenText(beat.text);
+    onProgress({ stage: 'tts:beat', index: i, speaker, duration: speech, text });
+    return { index: i, speaker, text, audio, words, speech };
+  });
+  const castVoices = cast && Object.fromEntries([...voices].map(([id, v]) => [id, { engine: v.engine, voice: v.voiceId ?? v.voice }]));
+  return { tts: tts.engine, voice: tts.voiceId ?? tts.voice, cast: castVoices, workDir, beats };
+}
+
+/**
+ * Run `fn(beat, index)` over every beat with at most `jobs` in flight. Resolves with the results
+ * in beat order once all have settled; if any failed, throws one BeatsError listing each failure
+ * (each RenderError tagged with its beat if it wasn't already).
+ */
+async function eachBeat(beats, jobs, fn) {
+  const results = await mapLimit(beats, jobs, fn);
+  const failures = results
+    .map((r, beat) => r.error && { beat, error: r.error })
+    .filter(Boolean);
+  for (const { beat, error } of failures) {
+    if (error instanceof RenderError) error.beat ??= beat;
+  }
+  if (failures.length) throw new BeatsError(failures, beats.length);
+  return results.map(r => r.value);
+}
+
+function checkJobs(jobs) {
+  if (!Number.isInteger(jobs) || jobs < 1) {
+    throw new RenderError(`jobs must be a positive integer, got ${jobs}`, { code: 'INVALID_OPTION' });
+  }
+}
+
+/** `cache` option → cache instance: an existing createCache() result, or enabled unless false. */
+function openCache(option) {
+  if (option && typeof option === 'object') return option;
+  return createCache({ enabled: option !== false });
+}
+
+function checkScript(script) {
+  const { valid, errors } = validateScript(script);
+  if (!valid) {
+    const list = errors.map(e => `  ${e.path}: ${e.message}`).join('\n');
+    throw new ScriptError(`Invalid script (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n${list}`, { errors });
+  }
+}
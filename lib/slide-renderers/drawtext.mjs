@@ -0,0 +1,72 @@
+/**
+ * ffmpeg drawtext renderer: title, body and watermark on the theme background. Needs nothing but
+ * ffmpeg and a font file, so it is the last resort. The body's Markdown degrades to plain text
+ * (list markers kept, emphasis dropped), wrapped by estimated width at the model's body size.
+ */
+
+import { writeFileSync } from 'fs';
+import { runChecked, filterPath } from '../exec.mjs';
+import { themeFont } from '../fonts.mjs';
+import { plainLine } from '../markdown.mjs';
+
+/** Average glyph width in ems, for wrapping without measuring. */
+const CHAR_WIDTH = 0.55;
+const LINE_HEIGHT = 1.5;
+
+export const drawtext = {
+  name: 'drawtext',
+  requires: 'ffmpeg',
+
+  available() {
+    return true;
+  },
+
+  async render(model, output, { theme }) {
+    const { width, height, colors, bodySize } = model;
+    const fontfile = `'${filterPath(themeFont(theme).file)}'`;
+    const filters = [];
+    const text = (name, value, options) => {
+      const file = output.replace(/\.png$/, `.${name}.txt`);
+      writeFileSync(file, value);
+      filters.push(`drawtext=textfile='${filterPath(file)}':expansion=none:fontfile=${fontfile}:${options}`);
+    };
+
+    const perLine = Math.max(10, Math.floor(width * 0.85 / (bodySize * CHAR_WIDTH)));
+    const maxLines = Math.max(1, Math.floor(height * 0.6 / (bodySize * LINE_HEIGHT)));
+    let lines = model.lines.map(plainLine).flatMap(line => wrap(line, perLine));
+    while (lines.length && !lines.at(-1).trim()) lines.pop();
+    if (lines.length > maxLines) lines = [...lines.slice(0, maxLines - 1), `${lines[maxLines - 1].slice(0, perLine - 1)}…`];
+    const step = Math.round(bodySize * LINE_HEIGHT);
+    const top = Math.round((height - step * lines.length) / 2);
+
+    text('title', model.title.toUpperCase(), `fontsize=40:fontcolor=${model.accent}:x=(w-tw)/2:y=120`);
+    lines.forEach((line, i) => {
+      if (line.trim()) text(`body-${i}`, line, `fontsize=${bodySize}:fontcolor=${colors.body}:x=(w-tw)/2:y=${top + i * step}`);
+    });
+    if (model.watermark) text('brand', model.watermark, `fontsize=14:fontcolor=${colors.muted}:x=w-tw-40:y=30`);
+    await runChecked('ffmpeg', [
+      '-y', '-f', 'lavfi', '-i', `color=c=${colors.background}:s=${width}x${height}:d=1`,
+      '-vf', filters.join(','),
+      '-frames:v', '1', output
+    ]);
+    return output;
+  }
+};
+
+/** Greedy wrap at `perLine` characters; list items indent their continuation lines. */
+function wrap(line, perLine) {
+  const indent = /^(•|\d+\.) /.exec(line)?.[0].replace(/./g, ' ') ?? '';
+  const rows = [];
+  let row = '';
+  for (const word of line.split(/\s+/).filter(Boolean)) {
+    const candidate = row ? `${row} ${word}` : word;
+    if (row && candidate.length > perLine) {
+      rows.push(row);
+      row = indent + word;
+    } else {
+      row = candidate;
+    }
+  }
+  rows.push(row);
+  return rows;
+}
@@ -0,0 +1,83 @@
+/**
+ * Slide renderer registry. A renderer turns the slide model of a text beat into a PNG:
+ *
+ *   { name,
+ *     available(theme) → boolean,          // can it run on this machine with this theme?
+ *     render(model, output, ctx) }         // may return a promise
+ *
+ * Every renderer gets the same model (see slideModel), so the theme's colors, text and numbering
+ * are the same whichever one draws them. `auto` picks the first available of svg (the theme's SVG
+ * template, rasterized in-process), wkhtmltoimage (its HTML template) and drawtext (ffmpeg).
+ */
+
+import { svg } from './svg.mjs';
+import { wkhtmltoimage } from './wkhtmltoimage.mjs';
+import { drawtext } from './drawtext.mjs';
+import { parseSlideBody, plainLine } from '../markdown.mjs';
+import { spokenText } from '../timing.mjs';
+import { RenderError } from '../errors.mjs';
+
+export const SLIDE_RENDERERS = { svg, wkhtmltoimage, drawtext };
+
+const AUTO_ORDER = [svg, wkhtmltoimage, drawtext];
+
+/** Body box as a share of the panel, average glyph width in ems and line height, for fitBodySize. */
+const BODY_WIDTH = 0.85;
+const BODY_HEIGHT = 0.45;
+const CHAR_WIDTH = 0.55;
+const LINE_HEIGHT = 1.5;
+
+/**
+ * Renderer by name, or the first available one for `auto`. Throws RenderError (INVALID_OPTION)
+ * for unknown names and for an explicitly chosen renderer that can't run here.
+ */
+export function resolveSlideRenderer(name = 'auto', theme) {
+  if (name === 'auto') return AUTO_ORDER.find(renderer => renderer.available(theme));
+  const renderer = SLIDE_RENDERERS[name];
+  if (!renderer) {
+    throw new RenderError(`Unknown slide renderer: ${name} (expected auto or one of: ${Object.keys(SLIDE_RENDERERS).join(', ')})`, { code: 'INVALID_OPTION' });
+  }
+  if (!renderer.available(theme)) {
+    throw new RenderError(`Slide renderer "${name}" is not available: ${renderer.requires}`, { code: 'INVALID_OPTION' });
+  }
+  return renderer;
+}
+
+/**
+ * What a text slide shows, as plain strings (renderers escape for their own format) plus the body
+ * parsed as Markdown (`lines`, see markdown.mjs) and the body font size that fits it. `size` is
+ * the slide panel in pixels.
+ */
+export function slideModel(beat, index, script, theme, size) {
+  const body = beat.slideBody || beat.slide || spokenText(beat.text);
+  const lines = parseSlideBody(body);
+  return {
+    ...size,
+    colors: theme.colors,
+    fonts: theme.fonts,
+    accent: beat.slideAccent || theme.colors.accent,
+    title: beat.slideTitle || script.title,
+    body,
+    lines,
+    bodySize: fitBodySize(lines.map(plainLine), size, theme.slide),
+    bodyAlign: lines.some(l => l.list) ? 'left' : 'center',
+    watermark: theme.watermark?.image ? '' : theme.watermark?.text || '',
+    beatNumber: index + 1,
+    beatCount: script.beats.length
+  };
+}
+
+/**
+ * Largest body size, stepping down from `bodySize` to `minBodySize`, at which `lines` wrapped to
+ * the body width fit the body's share of the panel. Estimated from character counts rather than
+ * measured, so every renderer gets the same size.
+ */
+export function fitBodySize(lines, { width, height }, { bodySize = 36, minBodySize = 20 } = {}) {
+  const wrapWidth = width * BODY_WIDTH;
+  let size = bodySize;
+  for (; size > minBodySize; size -= 2) {
+    const rows = lines.reduce((sum, line) => sum + Math.max(1, Math.ceil(line.length * CHAR_WIDTH * size / wrapWidth)), 0);
+    if (rows * size * LINE_HEIGHT <= height * BODY_HEIGHT) break;
+  }
+  return Math.max(size, minBodySize);
+}
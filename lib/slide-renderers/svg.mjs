@@ -0,0 +1,89 @@
+/**
+ * SVG renderer: the theme's SVG slide template (`slide.svg`), rasterized in-process by lib/svg.mjs
+ * with the theme's font, so it looks the same on every machine. Bold and italic text use the
+ * family's Bold / Italic (or Oblique) faces when installed, inline code the first of `fonts.mono`
+ * found; missing faces fall back to the regular one (italic is then slanted).
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { renderTemplate } from '../theme.mjs';
+import { themeFont, resolveFont } from '../fonts.mjs';
+import { isTrueType } from '../truetype.mjs';
+import { renderSvg } from '../svg.mjs';
+
+export const svg = {
+  name: 'svg',
+  requires: 'the theme needs a slide.svg template and a TrueType (.ttf) font',
+
+  available(theme) {
+    if (!theme.slide?.svg || !existsSync(theme.slide.svg)) return false;
+    try {
+      return isTrueType(themeFont(theme).file);
+    } catch {
+      return false;
+    }
+  },
+
+  render(model, output, { theme }) {
+    const source = renderTemplate(readFileSync(theme.slide.svg, 'utf8'), {
+      ...model,
+      title: escapeXml(model.title),
+      body: bodyMarkup(model),
+      watermark: escapeXml(model.watermark)
+    });
+    writeFileSync(output, renderSvg(source, slideFonts(theme)).toPng());
+    return output;
+  }
+};
+
+const fontsByTheme = new Map();
+
+/** The theme's font faces for renderSvg (looked up once per theme). */
+export function slideFonts(theme) {
+  if (!fontsByTheme.has(theme.file)) fontsByTheme.set(theme.file, findFonts(theme));
+  return fontsByTheme.get(theme.file);
+}
+
+/** Body lines as tspans: list markers in the accent color, emphasis, code on the panel color, up/down numbers. */
+function bodyMarkup({ lines, accent, colors }) {
+  return lines.map(({ marker, spans }) => {
+    const lead = marker ? `<tspan data-hang="true" fill="${accent}">${marker} </tspan>` : '';
+    return lead + spans.map(span => {
+      const attrs = [
+        (span.bold || span.trend) && 'font-weight="bold"',
+        span.italic && 'font-style="italic"',
+        span.code && `font-family="monospace" data-background="${colors.panel}"`,
+        span.trend && `fill="${span.trend === 'up' ? colors.up : colors.down}"`
+      ].filter(Boolean);
+      return attrs.length ? `<tspan ${attrs.join(' ')}>${escapeXml(span.text)}</tspan>` : escapeXml(span.text);
+    }).join('');
+  }).join('\n');
+}
+
+function findFonts(theme) {
+  const regular = themeFont(theme);
+  // Variant faces are optional: each is the first candidate installed with TrueType outlines, else null.
+  const face = candidates => {
+    for (const candidate of candidates) {
+      try {
+        const { file } = resolveFont([candidate]);
+        if (isTrueType(file)) return file;
+      } catch {
+        // Not installed; try the next name.
+      }
+    }
+    return null;
+  };
+  const family = regular.family;
+  return {
+    regular: regular.file,
+    bold: face([`${family} Bold`]),
+    italic: face([`${family} Italic`, `${family} Oblique`]),
+    boldItalic: face([`${family} Bold Italic`, `${family} Bold Oblique`]),
+    mono: face([].concat(theme.fonts?.mono ?? []))
+  };
+}
+
+export function escapeXml(s) {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
@@ -0,0 +1,67 @@
+/**
+ * wkhtmltoimage renderer: the theme's HTML slide template (`slide.template`), rendered by WebKit.
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { runChecked, hasCommand } from '../exec.mjs';
+import { renderTemplate } from '../theme.mjs';
+
+export const wkhtmltoimage = {
+  name: 'wkhtmltoimage',
+  requires: 'install wkhtmltoimage (wkhtmltopdf package)',
+
+  available(theme) {
+    return Boolean(theme.slide?.template) && hasCommand('wkhtmltoimage');
+  },
+
+  async render(model, output, { theme }) {
+    const htmlPath = output.replace(/\.png$/, '.html');
+    writeFileSync(htmlPath, generateSlideHtml(model, readFileSync(theme.slide.template, 'utf8')));
+    await runChecked('wkhtmltoimage', ['--encoding', 'utf-8', '--width', String(model.width), '--height', String(model.height), '--quality', '95', htmlPath, output]);
+    return output;
+  }
+};
+
+/**
+ * Slide HTML: `template` filled from the slide model, text HTML-escaped and the body's Markdown as
+ * lists, <strong>, <em>, <code> and <span class="up|down">.
+ */
+export function generateSlideHtml(model, template) {
+  return renderTemplate(template, {
+    ...model,
+    title: escapeHtml(model.title),
+    body: bodyHtml(model.lines),
+    watermark: escapeHtml(model.watermark)
+  });
+}
+
+function bodyHtml(lines) {
+  const html = [];
+  let list = null;
+  for (const line of lines) {
+    // Lists are blocks, so only consecutive plain lines need a <br> between them.
+    if (line.list !== list) {
+      if (list) html.push(list === 'bullet' ? '</ul>' : '</ol>');
+      if (line.list) html.push(line.list === 'bullet' ? '<ul>' : `<ol start="${parseInt(line.marker, 10)}">`);
+      list = line.list;
+    } else if (!list && html.length) {
+      html.push('<br>');
+    }
+    const content = line.spans.map(spanHtml).join('');
+    html.push(list ? `<li>${content}</li>` : content);
+  }
+  if (list) html.push(list === 'bullet' ? '</ul>' : '</ol>');
+  return html.join('');
+}
+
+function spanHtml({ text, bold, italic, code, trend }) {
+  let html = escapeHtml(text);
+  if (code) html = `<code>${html}</code>`;
+  if (italic) html = `<em>${html}</em>`;
+  if (bold) html = `<strong>${html}</strong>`;
+  return trend ? `<span class="${trend}">${html}</span>` : html;
+}
+
+function escapeHtml(s) {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
@@ -0,0 +1,95 @@
+/**
+ * Video B-roll in the slide panel. A beat's `slideVideo` plays for the beat's whole duration,
+ * starting `start` seconds into the clip: a longer clip is cut off, a shorter one holds its last
+ * frame, or starts over from `start` with `loop`. It is scaled and padded into the panel like a
+ * slide image. Its own audio is dropped unless `mute` is false, then it plays under the voice at
+ * `volume`.
+ *
+ *   "slideVideo": "screen-recording.mp4"
+ *   "slideVideo": { "file": "chart-anim.mp4", "start": 12, "loop": true, "mute": false, "volume": 0.3 }
+ */
+
+import { existsSync } from 'fs';
+import { runChecked, probeDuration } from './exec.mjs';
+import { hashFile } from './cache.mjs';
+import { RenderError } from './errors.mjs';
+
+export const SLIDE_VIDEO_DEFAULTS = { start: 0, loop: false, mute: true, volume: 0.3 };
+
+/** Keeps the poster frame grab inside the clip when it would land exactly on the end. */
+const END_MARGIN = 0.05;
+
+/**
+ * Beat `index`'s slide video: { file, start, loop, mute, volume }, or null. Throws RenderError if
+ * the file is missing, before any TTS is spent.
+ */
+export function resolveSlideVideo(beat, index) {
+  if (!beat.slideVideo) return null;
+  const video = { ...SLIDE_VIDEO_DEFAULTS, ...(typeof beat.slideVideo === 'string' ? { file: beat.slideVideo } : beat.slideVideo) };
+  if (!existsSync(video.file)) {
+    throw new RenderError(`Beat ${index}: slide video not found: ${video.file}`, { code: 'SLIDE_VIDEO_NOT_FOUND', beat: index });
+  }
+  return video;
+}
+
+/**
+ * Add what rendering needs to know about the clip: its `length`, whether it `hasAudio` and a
+ * content `hash` for cache keys. Throws RenderError for a clip ffprobe can't read or a `start`
+ * past its end.
+ */
+export async function probeSlideVideo(video, index) {
+  const length = await probeDuration(video.file);
+  if (!(length > 0)) {
+    throw new RenderError(`Beat ${index}: could not read slide video ${video.file}`, { code: 'SLIDE_VIDEO_INVALID', beat: index });
+  }
+  if (video.start >= length) {
+    throw new RenderError(`Beat ${index}: slideVideo start ${video.start}s is past the end of ${video.file} (${length.toFixed(2)}s)`, { code: 'SLIDE_VIDEO_INVALID', beat: index });
+  }
+  const streams = await runChecked('ffprobe', ['-v', 'error', '-select_streams', 'a', '-show_entries', 'stream=index', '-of', 'csv=p=0', video.file], { beat: index, code: 'SLIDE_VIDEO_INVALID' });
+  return { ...video, length, hasAudio: Boolean(streams.stdout.trim()), hash: hashFile(video.file) };
+}
+
+/**
+ * The frame on screen when the beat ends, as a still: what the next beat transitions from.
+ */
+export async function slideVideoStill(video, duration, output) {
+  const span = video.length - video.start;
+  const played = Math.max(0, duration - END_MARGIN);
+  const at = video.loop ? video.start + (played % span) : Math.min(video.start + played, video.length - END_MARGIN);
+  await runChecked('ffmpeg', ['-y', '-ss', at.toFixed(3), '-i', video.file, '-frames:v', '1', output], { code: 'SLIDE_VIDEO_INVALID' });
+  return output;
+}
+
+/**
+ * A clip that loops from a `start` past 0 is cut to that point first (into `output`), so every
+ * pass of -stream_loop starts at `start` rather than the top of the file. Others pass through.
+ */
+export async function loopableSlideVideo(video, output) {
+  if (!video.loop || !video.start) return video;
+  await runChecked('ffmpeg', [
+    '-y', '-ss', String(video.start), '-i', video.file,
+    '-c:v', 'libx264', '-preset', 'fast', '-crf', '18',
+    '-c:a', 'aac', '-b:a', '128k',
+    output
+  ], { code: 'SLIDE_VIDEO_INVALID' });
+  return { ...video, file: output, start: 0, length: video.length - video.start };
+}
+
+/**
+ * ffmpeg input args playing `video` (through loopableSlideVideo when it loops) for `duration` seconds.
+ */
+export function slideVideoInput(video, duration) {
+  const t = ['-t', duration.toFixed(3)];
+  if (video.loop) return ['-stream_loop', '-1', ...t, '-i', video.file];
+  return ['-ss', String(video.start), ...t, '-i', video.file];
+}
+
+/**
+ * Audio chain for the clip's own sound at input `index`, if it plays: trimmed to the beat, at
+ * `volume`, with short fades. Output label `out`; null when muted or silent.
+ */
+export function slideVideoAudio(video, index, out, duration) {
+  if (!video || video.mute || !video.hasAudio) return null;
+  const fade = Math.min(0.3, duration / 4);
+  return `[${index}:a]volume=${video.volume},apad,atrim=0:${duration},afade=t=in:d=${fade},afade=t=out:st=${Math.max(0, duration - fade)}:d=${fade}${out}`;
+}
@@ -0,0 +1,320 @@
+/**
+ * In-process rasterizer for the small SVG subset slide templates use, so slides render the same
+ * on every machine without a browser or native libraries:
+ *
+ *   <svg width height>, <rect x y width height rx fill>, <circle cx cy r fill>,
+ *   <line x1 y1 x2 y2 stroke stroke-width>, <text x y dx dy font-size font-weight fill text-anchor
+ *   letter-spacing>
+ *
+ * Any shape takes `opacity` / `fill-opacity`; lengths may be px or % of the canvas. No groups,
+ * transforms, paths or CSS. Text may contain unnested <tspan>s restyling a run (font-weight,
+ * font-style, font-family="monospace", fill, letter-spacing). Text extensions for layout: newlines
+ * in the content start new lines, `data-wrap` (px or %) wraps to a width, `data-line-height`
+ * (default 1.25), `data-valign` (top | middle | bottom: the whole block hangs from, centers on or
+ * sits on `y`; default: `y` is the first baseline), `data-align="left"` (left-align lines inside
+ * the anchored block), `text-transform="uppercase"`, and on tspans `data-background` (a box behind
+ * the run) and `data-hang="true"` (wrapped lines indent past this run, e.g. a list marker).
+ */
+
+import { createCanvas } from './png.mjs';
+import { loadFont } from './truetype.mjs';
+import { RenderError } from './errors.mjs';
+
+const NAMED_COLORS = { white: '#ffffff', black: '#000000' };
+
+/**
+ * Rasterize `svg` to a canvas. `fonts` is { regular, bold, italic, boldItalic, mono } (TrueType
+ * file paths; all but regular optional).
+ */
+export function renderSvg(svg, fonts) {
+  const source = svg.replace(/<!--[\s\S]*?-->/g, '');
+  const root = /<svg\b([^>]*)>/.exec(source);
+  if (!root) throw new RenderError('Slide template is not an SVG document', { code: 'INVALID_THEME' });
+  const rootAttrs = attributes(root[1]);
+  const width = Math.round(parseFloat(rootAttrs.width));
+  const height = Math.round(parseFloat(rootAttrs.height));
+  if (!(width > 0 && height > 0)) throw new RenderError('SVG slide template needs numeric width and height', { code: 'INVALID_THEME' });
+
+  const canvas = createCanvas(width, height);
+  const x = v => length(v, width);
+  const y = v => length(v, height);
+
+  for (const [, tag, attrText, , content] of source.matchAll(/<(rect|circle|line|text)\b([^>]*?)(\/>|>([\s\S]*?)<\/\1>)/g)) {
+    const a = attributes(attrText);
+    const opacity = Number(a.opacity ?? 1) * Number(a['fill-opacity'] ?? 1);
+    if (tag === 'rect') {
+      if (!paints(a.fill)) continue;
+      canvas.fillPath([roundedRect(x(a.x), y(a.y), x(a.width), y(a.height), x(a.rx ?? a.ry))], color(a.fill), opacity);
+    } else if (tag === 'circle') {
+      if (!paints(a.fill)) continue;
+      canvas.fillPath([ellipse(x(a.cx), y(a.cy), x(a.r), x(a.r))], color(a.fill), opacity);
+    } else if (tag === 'line') {
+      if (!paints(a.stroke)) continue;
+      canvas.fillPath([strokeQuad(x(a.x1), y(a.y1), x(a.x2), y(a.y2), Number(a['stroke-width'] ?? 1))], color(a.stroke), Number(a.opacity ?? 1) * Number(a['stroke-opacity'] ?? 1));
+    } else if (paints(a.fill ?? '#000000')) {
+      drawText(canvas, content, a, fonts, { x, y, opacity });
+    }
+  }
+  return canvas;
+}
+
+/**
+ * Width in px of `text` set in `font` (a TrueType file) at `size`, with `letterSpacing` px between glyphs.
+ */
+export function measureText(text, font, size, letterSpacing = 0) {
+  const face = loadFont(font);
+  const chars = [...text];
+  const units = chars.reduce((sum, c) => sum + face.glyph(c).advance, 0);
+  return units * size / face.unitsPerEm + letterSpacing * Math.max(0, chars.length - 1);
+}
+
+function drawText(canvas, content, a, fonts, { x, y, opacity }) {
+  const base = fontFor(a, fonts);
+  const size = parseFloat(a['font-size'] ?? 16);
+  const scale = size / base.face.unitsPerEm;
+
+  const lines = layoutLines(textRuns(content, a), a, fonts, x);
+  while (lines.length && !lines[0].words.length) lines.shift();
+  while (lines.length && !lines.at(-1).words.length) lines.pop();
+  if (!lines.length) return;
+
+  const lineHeight = size * Number(a['data-line-height'] ?? 1.25);
+  const ascent = base.face.ascender * scale;
+  const block = lineHeight * (lines.length - 1) + (base.face.ascender - base.face.descender) * scale;
+  const originX = x(a.x) + parseFloat(a.dx ?? 0);
+  const originY = y(a.y) + parseFloat(a.dy ?? 0);
+  const top = { top: originY, middle: originY - block / 2, bottom: originY - block }[a['data-valign']];
+  const firstBaseline = top === undefined ? originY : top + ascent;
+  const anchor = a['text-anchor'] ?? 'start';
+  const shift = width => anchor === 'middle' ? width / 2 : anchor === 'end' ? width : 0;
+  // data-align="left" keeps the block where the anchor puts it but starts every line at its left edge.
+  const blockWidth = Math.max(...lines.map(l => l.width));
+
+  lines.forEach((line, n) => {
+    const baseline = firstBaseline + n * lineHeight;
+    let pen = originX + line.indent - (a['data-align'] === 'left' ? shift(blockWidth) : shift(line.width));
+    line.words.forEach((word, w) => {
+      if (w > 0) pen += line.words[w - 1].space;
+      for (const piece of word.pieces) {
+        const { font, style } = piece;
+        const pieceScale = style.size / font.face.unitsPerEm;
+        if (style.background) {
+          const pad = style.size * 0.15;
+          canvas.fillPath([roundedRect(pen - pad, baseline - font.face.ascender * pieceScale, piece.width + pad * 2, (font.face.ascender - font.face.descender) * pieceScale, pad)], color(style.background), opacity);
+        }
+        const polygons = [];
+        let glyphPen = pen;
+        for (const char of piece.text) {
+          const glyph = font.face.glyph(char);
+          for (const contour of glyph.contours) polygons.push(flatten(contour, glyphPen, baseline, pieceScale, font.slant));
+          glyphPen += glyph.advance * pieceScale + style.spacing;
+        }
+        canvas.fillPath(polygons, color(style.fill), opacity);
+        pen += piece.width;
+      }
+    });
+  });
+}
+
+/**
+ * <text> content → runs of { text, style }: bare text takes the <text> element's attributes,
+ * each (unnested) <tspan> layers its own on top.
+ */
+function textRuns(content, a) {
+  const runs = [];
+  let last = 0;
+  const push = (text, attrs) => {
+    if (text) runs.push({ text: decode(text.replace(/<[^>]+>/g, '')), style: textStyle({ ...a, ...attrs }) });
+  };
+  for (const match of content.matchAll(/<tspan\b([^>]*?)(?:\/>|>([\s\S]*?)<\/tspan>)/g)) {
+    push(content.slice(last, match.index), {});
+    push(match[2] ?? '', { ...attributes(match[1]), hang: attributes(match[1])['data-hang'] === 'true' });
+    last = match.index + match[0].length;
+  }
+  push(content.slice(last), {});
+  return runs;
+}
+
+function textStyle(a) {
+  return {
+    size: parseFloat(a['font-size'] ?? 16),
+    spacing: parseFloat(a['letter-spacing'] ?? 0),
+    fill: a.fill ?? '#000000',
+    bold: a['font-weight'] === 'bold' || Number(a['font-weight']) >= 600,
+    italic: a['font-style'] === 'italic' || a['font-style'] === 'oblique',
+    mono: /mono/.test(a['font-family'] ?? ''),
+    upper: a['text-transform'] === 'uppercase',
+    background: a['data-background'] ?? null,
+    hang: Boolean(a.hang)
+  };
+}
+
+/**
+ * Runs → lines of words ({ pieces: [{ text, font, style, width }], space }) with whitespace
+ * collapsed, wrapped to `data-wrap`. A line whose first word is a `data-hang` tspan (a list
+ * marker) indents its wrapped continuation lines past it.
+ */
+function layoutLines(runs, a, fonts, x) {
+  const paragraphs = [[]];
+  for (const { text, style } of runs) {
+    const font = fontFor({ 'font-weight': style.bold ? 'bold' : 'normal', 'font-style': style.italic ? 'italic' : 'normal', 'font-family': style.mono ? 'monospace' : '' }, fonts);
+    const measure = t => measureText(t, font.file, style.size);
+    text.split('\n').forEach((part, i) => {
+      if (i > 0) paragraphs.push([]);
+      const tokens = paragraphs.at(-1);
+      for (const token of part.split(/(\s+)/)) {
+        if (!token) continue;
+        if (/^\s/.test(token)) {
+          if (tokens.length && tokens.at(-1) !== SPACE) tokens.push(SPACE, { space: measure(' ') + style.spacing });
+          continue;
+        }
+        const value = style.upper ? token.toUpperCase() : token;
+        tokens.push({ text: value, font, style, width: measure(value) + style.spacing * [...value].length });
+      }
+    });
+  }
+
+  const wrap = a['data-wrap'] ? x(a['data-wrap']) : Infinity;
+  const lines = [];
+  for (const tokens of paragraphs) {
+    // Tokens → words: pieces that touch (no whitespace between) wrap together.
+    const words = [];
+    let joined = true;
+    for (let i = 0; i < tokens.length; i++) {
+      if (tokens[i] === SPACE) {
+        if (words.length) words.at(-1).space = tokens[++i].space;
+        joined = false;
+        continue;
+      }
+      if (joined && words.length) words.at(-1).pieces.push(tokens[i]);
+      else words.push({ pieces: [tokens[i]], space: 0 });
+      joined = true;
+    }
+    words.forEach(w => { w.width = w.pieces.reduce((sum, p) => sum + p.width, 0); });
+
+    const hang = words[0]?.pieces[0]?.style.hang ? words[0].width + words[0].space : 0;
+    let line = { words: [], width: 0, indent: 0 };
+    for (const word of words) {
+      const gap = line.words.length ? line.words.at(-1).space : 0;
+      if (line.words.length && line.width + gap + word.width > wrap - line.indent) {
+        lines.push(line);
+        line = { words: [], width: 0, indent: hang };
+      }
+      line.width += (line.words.length ? gap : 0) + word.width;
+      line.words.push(word);
+    }
+    lines.push(line);
+  }
+  // The pen starts at the indent, so it counts toward the line's width for alignment.
+  lines.forEach(l => { l.width += l.indent; });
+  return lines;
+}
+
+const SPACE = Symbol('space');
+
+/**
+ * Face for a text style: bold / italic / monospace variants when the caller supplied them. Italic
+ * without an italic face is slanted. Returns { file, face, slant }.
+ */
+function fontFor(a, fonts) {
+  const bold = a['font-weight'] === 'bold' || Number(a['font-weight']) >= 600;
+  const italic = a['font-style'] === 'italic' || a['font-style'] === 'oblique';
+  const file = /mono/.test(a['font-family'] ?? '') && fonts.mono
+    ? fonts.mono
+    : (bold && italic && fonts.boldItalic) || (italic && !bold && fonts.italic) || (bold && fonts.bold) || fonts.regular;
+  const slanted = italic && file !== fonts.italic && file !== fonts.boldItalic;
+  return { file, face: loadFont(file), slant: slanted ? 0.2 : 0 };
+}
+
+/** TrueType contour (quadratic B-splines with implied on-curve midpoints) → polygon in canvas space. */
+function flatten(contour, originX, baseline, scale, slant = 0) {
+  const pt = p => [originX + (p.x + p.y * slant) * scale, baseline - p.y * scale];
+  const n = contour.length;
+  let start = contour.findIndex(p => p.on);
+  let points = contour;
+  if (start < 0) {
+    // All off-curve: start at the midpoint of the first two.
+    const mid = { x: (contour[0].x + contour[1 % n].x) / 2, y: (contour[0].y + contour[1 % n].y) / 2, on: true };
+    points = [mid, ...contour.slice(1), contour[0]];
+    start = 0;
+  }
+  const ordered = [...points.slice(start), ...points.slice(0, start)];
+  const out = [pt(ordered[0])];
+  const steps = Math.max(2, Math.min(12, Math.ceil(scale * 40)));
+  let prev = ordered[0];
+  for (let i = 1; i <= ordered.length; i++) {
+    const p = ordered[i % ordered.length];
+    if (p.on) {
+      out.push(pt(p));
+      prev = p;
+      continue;
+    }
+    const next = ordered[(i + 1) % ordered.length];
+    const end = next.on ? next : { x: (p.x + next.x) / 2, y: (p.y + next.y) / 2, on: true };
+    for (let s = 1; s <= steps; s++) {
+      const t = s / steps;
+      const u = 1 - t;
+      out.push(pt({ x: u * u * prev.x + 2 * u * t * p.x + t * t * end.x, y: u * u * prev.y + 2 * u * t * p.y + t * t * end.y }));
+    }
+    prev = end;
+    if (next.on) i++;
+  }
+  return out;
+}
+
+function roundedRect(x, y, w, h, r = 0) {
+  r = Math.min(r || 0, w / 2, h / 2);
+  if (!r) return [[x, y], [x + w, y], [x + w, y + h], [x, y + h]];
+  const corner = (cx, cy, from) => Array.from({ length: 7 }, (_, i) => {
+    const angle = from + (i / 6) * Math.PI / 2;
+    return [cx + r * Math.cos(angle), cy + r * Math.sin(angle)];
+  });
+  return [
+    ...corner(x + w - r, y + r, -Math.PI / 2),
+    ...corner(x + w - r, y + h - r, 0),
+    ...corner(x + r, y + h - r, Math.PI / 2),
+    ...corner(x + r, y + r, Math.PI)
+  ];
+}
+
+function ellipse(cx, cy, rx, ry) {
+  const steps = Math.max(16, Math.ceil(Math.max(rx, ry) * 1.5));
+  return Array.from({ length: steps }, (_, i) => [cx + rx * Math.cos(2 * Math.PI * i / steps), cy + ry * Math.sin(2 * Math.PI * i / steps)]);
+}
+
+function strokeQuad(x1, y1, x2, y2, strokeWidth) {
+  const len = Math.hypot(x2 - x1, y2 - y1) || 1;
+  const nx = -(y2 - y1) / len * strokeWidth / 2;
+  const ny = (x2 - x1) / len * strokeWidth / 2;
+  return [[x1 + nx, y1 + ny], [x2 + nx, y2 + ny], [x2 - nx, y2 - ny], [x1 - nx, y1 - ny]];
+}
+
+function length(value, total) {
+  if (value === undefined) return 0;
+  const s = String(value).trim();
+  return s.endsWith('%') ? parseFloat(s) / 100 * total : parseFloat(s) || 0;
+}
+
+function paints(value) {
+  return value !== undefined && value !== 'none' && value !== 'transparent';
+}
+
+function color(value) {
+  return NAMED_COLORS[value] ?? value;
+}
+
+function attributes(text) {
+  const attrs = {};
+  for (const [, name, , double, single] of text.matchAll(/([\w:-]+)\s*=\s*("([^"]*)"|'([^']*)')/g)) {
+    attrs[name] = decode(double ?? single);
+  }
+  return attrs;
+}
+
+function decode(text) {
+  return text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(Number(dec)))
+    .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+}
@@ -0,0 +1,95 @@
+/**
+ * Show themes: canvas/panel geometry, colors, fonts, watermark, avatar and slide template, loaded from JSON.
+ *
+ * A theme is referenced by name (looked up in SEGMENT_STREAM_THEMES, then the package's themes/)
+ * or by path to a .json file. `"extends": "<theme>"` deep-merges onto another theme, so a show
+ * only needs to list what it changes. Relative paths inside a theme resolve against its file.
+ */
+
+import { readFileSync, existsSync } from 'fs';
+import { join, dirname, resolve, isAbsolute } from 'path';
+import { CONFIG } from './config.mjs';
+import { RenderError } from './errors.mjs';
+
+export const DEFAULT_THEME = 'default';
+
+/**
+ * Load and resolve a theme by name or path (default: the package's `default` theme).
+ */
+export function loadTheme(ref = DEFAULT_THEME, seen = new Set()) {
+  const file = findTheme(ref);
+  if (seen.has(file)) throw new RenderError(`Theme "${ref}" extends itself`, { code: 'INVALID_THEME' });
+  seen.add(file);
+
+  let theme;
+  try {
+    theme = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new RenderError(`Could not read theme ${file}: ${e.message}`, { code: 'INVALID_THEME', cause: e });
+  }
+  theme = resolvePaths(theme, dirname(file));
+  theme.file = file;
+
+  if (theme.extends) {
+    const base = loadTheme(theme.extends, seen);
+    const { extends: _, ...own } = theme;
+    theme = deepMerge(base, own);
+  }
+  return theme;
+}
+
+/**
+ * Geometry + caption style for one layout, or a RenderError if the theme doesn't define it.
+ */
+export function themeLayout(theme, layoutName) {
+  const geometry = theme.layouts?.[layoutName];
+  if (!geometry?.width || !geometry?.height) {
+    throw new RenderError(`Theme "${theme.name}" has no "${layoutName}" layout`, { code: 'INVALID_THEME' });
+  }
+  return geometry;
+}
+
+/**
+ * Fill `{{path.to.value}}` placeholders in the theme's slide template.
+ */
+export function renderTemplate(template, vars) {
+  return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+    const value = path.split('.').reduce((v, k) => v?.[k], vars);
+    return value == null ? '' : String(value);
+  });
+}
+
+function findTheme(ref) {
+  if (ref.endsWith('.json') || ref.includes('/') || ref.includes('\\')) {
+    const file = resolve(ref);
+    if (existsSync(file)) return file;
+  } else {
+    const dirs = [process.env.SEGMENT_STREAM_THEMES, CONFIG.themesDir].filter(Boolean);
+    for (const dir of dirs) {
+      const file = join(dir, `${ref}.json`);
+      if (existsSync(file)) return file;
+    }
+  }
+  throw new RenderError(`Theme not found: ${ref}`, { code: 'INVALID_THEME' });
+}
+
+/** File references a theme may carry, relative to the theme file. */
+const PATH_KEYS = [['slide', 'template'], ['slide', 'svg'], ['fonts', 'file'], ['watermark', 'image'], ['avatar', 'image'], ['avatar', 'mouthOpen'], ['avatar', 'blink'], ['thumbnail', 'landscape'], ['thumbnail', 'portrait']];
+
+function resolvePaths(theme, dir) {
+  const resolveOne = value => typeof value === 'string' && !isAbsolute(value) ? join(dir, value) : value;
+  for (const [section, key] of PATH_KEYS) {
+    const value = theme[section]?.[key];
+    if (value != null) theme[section][key] = Array.isArray(value) ? value.map(resolveOne) : resolveOne(value);
+  }
+  return theme;
+}
+
+function deepMerge(base, over) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(over)) {
+    const isObject = value && typeof value === 'object' && !Array.isArray(value);
+    out[key] = isObject && base[key] && typeof base[key] === 'object' ? deepMerge(base[key], value) : value;
+  }
+  return out;
+}
@@ -0,0 +1,213 @@
+/**
+ * Thumbnails: the script title, a highlighted key number and the host avatar over the theme
+ * background, 1280×720 for videos and 1080×1920 for Shorts.
+ *
+ *   await renderThumbnail(script, { output: 'out.thumbnail.png', format: 'portrait', beat: 2 });
+ *
+ * The text is the theme's thumbnail SVG template (`thumbnail.landscape` / `thumbnail.portrait`),
+ * rasterized by lib/svg.mjs with the theme font. With `beat`, that beat's slide (dimmed by
+ * `thumbnail.dim`) replaces the plain background. The key number is `highlight`, else the first
+ * signed percentage in the base beat's slide, else in any beat's, in the theme's up/down color.
+ * In a multi-host script the avatar is that beat's speaker (the first beat's without `beat`).
+ */
+
+import { readFileSync, writeFileSync, existsSync, mkdirSync, rmSync } from 'fs';
+import { join } from 'path';
+import { CONFIG } from './config.mjs';
+import { runChecked } from './exec.mjs';
+import { loadTheme, renderTemplate } from './theme.mjs';
+import { themeFont } from './fonts.mjs';
+import { isTrueType } from './truetype.mjs';
+import { renderSvg, measureText } from './svg.mjs';
+import { parseSlideBody } from './markdown.mjs';
+import { spokenText } from './timing.mjs';
+import { resolveSlideRenderer } from './slide-renderers/index.mjs';
+import { slideFonts, escapeXml } from './slide-renderers/svg.mjs';
+import { renderSlidePng } from './layouts/slide.mjs';
+import { avatarImage } from './layouts/avatar.mjs';
+import { beatSpeaker, hostTheme } from './cast.mjs';
+import { resolveSlideVideo, probeSlideVideo, slideVideoStill } from './slide-video.mjs';
+import { resolveChart } from './chart.mjs';
+import { RenderError } from './errors.mjs';
+
+/**
+ * Canvas, title box (top, share of the width, largest and smallest size, most lines), key number size
+ * and avatar placement (share of the height, ffmpeg overlay x) per format.
+ */
+export const THUMBNAIL_FORMATS = {
+  landscape: { width: 1280, height: 720, titleTop: 72, titleWidth: 0.56, titleSize: 96, minTitleSize: 56, titleLines: 3, highlightSize: 150, avatar: { height: 0.9, x: 'W-w-24' } },
+  portrait: { width: 1080, height: 1920, titleTop: 180, titleWidth: 0.88, titleSize: 120, minTitleSize: 72, titleLines: 4, highlightSize: 200, avatar: { height: 0.45, x: '(W-w)/2' } }
+};
+
+/** Title line height (as in the templates) and the widest the key number may get, as a share of the width. */
+const LINE_HEIGHT = 1.05;
+const HIGHLIGHT_WIDTH = 0.8;
+
+/** Sidecar path for a render output: `out.mp4` → `out.thumbnail.png`. */
+export function thumbnailPath(output) {
+  return output.replace(/\.[^./\\]+$/, '') + '.thumbnail.png';
+}
+
+/**
+ * `thumbnail` render option → { beat, highlight }, or null when off. Accepts true, a beat index
+ * (that beat's slide as the background) or { beat, highlight }.
+ */
+export function resolveThumbnail(option, script) {
+  if (option === false || option == null) return null;
+  const { beat = null, highlight = null } = option === true ? {} : typeof option === 'object' ? option : { beat: option };
+  if (beat !== null && !(Number.isInteger(beat) && script.beats[beat])) {
+    throw new RenderError(`Thumbnail beat ${beat} does not exist (the script has ${script.beats.length} beats)`, { code: 'INVALID_OPTION' });
+  }
+  return { beat, highlight };
+}
+
+/**
+ * The theme's thumbnail template for `format`. Throws RenderError when it has none, or no
+ * TrueType font to set it in, so a render can check before any TTS is spent.
+ */
+export function thumbnailTemplate(theme, format) {
+  const template = theme.thumbnail?.[format];
+  if (!template || !existsSync(template)) {
+    throw new RenderError(`Theme "${theme.name}" has no ${format} thumbnail template`, { code: 'INVALID_THEME' });
+  }
+  const { file } = themeFont(theme);
+  if (!isTrueType(file)) {
+    throw new RenderError(`Thumbnails need a TrueType (.ttf) theme font; ${file} is not one`, { code: 'INVALID_THEME' });
+  }
+  return template;
+}
+
+/**
+ * Render a thumbnail for `script` into `output` (PNG or JPEG, by extension); returns the path.
+ *
+ * @param {object} script - Script JSON (title, beats)
+ * @param {object} options
+ * @param {string} options.output - Image path
+ * @param {'landscape'|'portrait'} [options.format='landscape'] - 1280×720 or 1080×1920
+ * @param {string|object} [options.theme] - Theme name, .json path or loaded theme (default: script.theme)
+ * @param {number} [options.beat] - Use this beat's slide as the background
+ * @param {string} [options.slide] - Already rendered slide PNG for `beat` (the assemblers pass theirs)
+ * @param {string} [options.highlight] - Key number or phrase to feature instead of the detected one
+ * @param {string} [options.slideRenderer='auto'] - Renderer for the beat's slide when it has to be drawn
+ * @param {string} [options.workDir] - Intermediates (default: a temp dir under CONFIG.workDir, removed afterwards)
+ */
+export async function renderThumbnail(script, options) {
+  const { output, format = 'landscape', beat = null, slide = null, highlight = null, slideRenderer = 'auto' } = options;
+  const spec = THUMBNAIL_FORMATS[format];
+  if (!spec) {
+    throw new RenderError(`Unknown thumbnail format: ${format} (expected one of: ${Object.keys(THUMBNAIL_FORMATS).join(', ')})`, { code: 'INVALID_OPTION' });
+  }
+  resolveThumbnail({ beat }, script);
+  const theme = typeof options.theme === 'object' ? options.theme : loadTheme(options.theme ?? script.theme);
+  const template = thumbnailTemplate(theme, format);
+
+  const ownWorkDir = !options.workDir;
+  const workDir = options.workDir ?? join(CONFIG.workDir, `.thumbnail-work-${process.pid}`);
+  mkdirSync(workDir, { recursive: true });
+  try {
+    const base = beat === null ? null : slide ?? await beatSlide(script, beat, theme, spec, { workDir, slideRenderer });
+    const text = join(workDir, `thumbnail-${format}-text.png`);
+    writeFileSync(text, renderSvg(renderTemplate(readFileSync(template, 'utf8'), textModel(script, beat, theme, Boolean(base), spec, highlight)), slideFonts(theme)).toPng());
+    await compose({ base, text, avatar: avatarImage(hostTheme(theme, beatSpeaker(script, beat ?? 0))), output }, theme, spec);
+  } finally {
+    if (ownWorkDir) rmSync(workDir, { recursive: true, force: true });
+  }
+  return output;
+}
+
+/**
+ * The key number to feature: the first signed percentage in beat `beat`'s slide (when given),
+ * else in the first beat that has one, as { text, trend: 'up' | 'down' }; a chart counts as its
+ * change from first to last value. Null without one.
+ */
+export function keyNumber(script, beat = null) {
+  const order = script.beats.map((_, i) => i);
+  for (const i of beat === null ? order : [beat, ...order]) {
+    const b = script.beats[i];
+    if (b.chart) {
+      const { values } = resolveChart(b.chart, i);
+      const change = values[0] ? (values.at(-1) - values[0]) / Math.abs(values[0]) * 100 : 0;
+      if (change) return { text: `${change > 0 ? '+' : '-'}${+Math.abs(change).toFixed(1)}%`, trend: change > 0 ? 'up' : 'down' };
+      continue;
+    }
+    for (const line of parseSlideBody(b.slideBody || b.slide || spokenText(b.text))) {
+      const span = line.spans.find(s => s.trend);
+      if (span) return { text: span.text, trend: span.trend };
+    }
+  }
+  return null;
+}
+
+/**
+ * Template variables: colors, the title sized to fit its box, the key number and its color, and
+ * `shade`, the opacity of the panel behind the text when a slide is the background.
+ */
+function textModel(script, beat, theme, shaded, { width, height, titleTop, titleWidth, titleSize, minTitleSize, titleLines, highlightSize }, highlight) {
+  const colors = theme.colors;
+  const accent = (beat !== null && script.beats[beat].slideAccent) || colors.accent;
+  const title = script.title || '';
+  const wrapWidth = width * titleWidth;
+  // Wrapped the way lib/svg.mjs wraps it, measured in the bold face the template sets it in.
+  const fonts = slideFonts(theme);
+  const bold = fonts.bold ?? fonts.regular;
+  const rows = size => title.toUpperCase().split(/\s+/).reduce(({ rows, line }, word) => {
+    const next = line ? `${line} ${word}` : word;
+    return line && measureText(next, bold, size) > wrapWidth ? { rows: rows + 1, line: word } : { rows, line: next };
+  }, { rows: 1, line: '' }).rows;
+  let size = titleSize;
+  while (size > minTitleSize && rows(size) > titleLines) size -= 4;
+  const lines = rows(size);
+
+  // An explicit highlight gets the up/down color if it is itself a signed percentage.
+  const key = highlight ? { text: highlight, trend: parseSlideBody(highlight)[0].spans.find(s => s.trend)?.trend ?? null } : keyNumber(script, beat);
+  const keyText = key?.text ?? '';
+  const keyWidth = measureText(keyText, bold, highlightSize);
+  const keySize = keyWidth > width * HIGHLIGHT_WIDTH ? Math.floor(highlightSize * width * HIGHLIGHT_WIDTH / keyWidth) : highlightSize;
+  return {
+    width,
+    height,
+    colors,
+    accent,
+    shade: shaded ? 0.75 : 0,
+    title: escapeXml(title),
+    titleTop,
+    titleSize: size,
+    titleWidth: Math.round(wrapWidth),
+    titleHeight: Math.round(lines * size * LINE_HEIGHT),
+    highlight: escapeXml(keyText),
+    highlightSize: keySize,
+    highlightColor: key?.trend === 'up' ? colors.up : key?.trend === 'down' ? colors.down : accent,
+    highlightY: Math.round(titleTop + lines * size * LINE_HEIGHT + size * 0.5),
+    watermark: escapeXml(theme.watermark?.image ? '' : theme.watermark?.text || '')
+  };
+}
+
+/** Beat `index`'s slide drawn at thumbnail size (a slideVideo beat: its first frame). */
+async function beatSlide(script, index, theme, { width, height }, { workDir, slideRenderer }) {
+  const beat = script.beats[index];
+  const video = resolveSlideVideo(beat, index);
+  if (video) return slideVideoStill(await probeSlideVideo(video, index), 0, join(workDir, `thumbnail-slide-${index}.png`));
+  const ctx = { workDir, theme, slideRenderer: resolveSlideRenderer(slideRenderer, theme) };
+  return renderSlidePng(beat, index, script, ctx, { width, height });
+}
+
+/** Background (or the dimmed, cropped slide), then the avatar, then the text layer, into `output`. */
+async function compose({ base, text, avatar, output }, theme, { width, height, avatar: place }) {
+  const dim = theme.thumbnail.dim ?? 0.45;
+  const background = base
+    ? ['-i', base]
+    : ['-f', 'lavfi', '-i', `color=c=${theme.colors.background}:s=${width}x${height}:d=1`];
+  const inputs = [...background, '-i', text];
+  const filters = [base
+    ? `[0:v]scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height},colorchannelmixer=rr=${1 - dim}:gg=${1 - dim}:bb=${1 - dim}[bg]`
+    : '[0:v]null[bg]'];
+  let last = '[bg]';
+  if (avatar) {
+    inputs.push('-i', avatar);
+    filters.push(`[2:v]scale=-2:${Math.round(height * place.height)}[host]`, `${last}[host]overlay=x=${place.x}:y=H-h[withhost]`);
+    last = '[withhost]';
+  }
+  filters.push(`${last}[1:v]overlay=0:0,format=rgb24[out]`);
+  await runChecked('ffmpeg', ['-y', ...inputs, '-filter_complex', filters.join(';'), '-map', '[out]', '-frames:v', '1', output], { code: 'THUMBNAIL_FAILED' });
+  return output;
+}
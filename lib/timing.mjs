@@ -0,0 +1,88 @@
+/**
+ * Beat timing: how long each beat runs around its narration, silent beats, and `[pause 1s]`
+ * markers inside narration.
+ *
+ *   { "text": "And the winner is… [pause 1.5s] nobody.", "pauseBefore": 0.5, "pauseAfter": 2 }
+ *   { "slideTitle": "3", "duration": 1 }                      // silent: no TTS, just the slide
+ *
+ * A beat runs `pauseBefore` (default 0) + speech + `pauseAfter` (default 0.5), at least
+ * `minDuration`; `duration` sets its length outright. A beat with no narration is silent and
+ * holds for SILENT_BEAT seconds unless it says otherwise. Pause markers become the engine's own
+ * break (ElevenLabs `<break time="1s" />`, `say`'s `[[slnc 1000]]`), so the voice really stops.
+ */
+
+import { runChecked } from './exec.mjs';
+import { RenderError } from './errors.mjs';
+
+/** Silence after a beat's narration when it doesn't set `pauseAfter` (seconds). */
+export const BEAT_PAD = 0.5;
+
+/** How long a silent beat holds when it sets neither `duration` nor `minDuration` (seconds). */
+export const SILENT_BEAT = 3;
+
+const PAUSE = /\[pause\s+(\d+(?:\.\d+)?)\s*(ms|s)?\]/gi;
+
+/** ElevenLabs ignores breaks longer than this; longer pauses are chained. */
+const ELEVENLABS_MAX_BREAK = 3;
+
+/**
+ * Pause markers as each engine spells a break. Engines missing here get the markers dropped.
+ */
+const BREAKS = {
+  elevenlabs: seconds => {
+    const parts = [];
+    for (let left = seconds; left > 0; left -= ELEVENLABS_MAX_BREAK) {
+      parts.push(`<break time="${+Math.min(left, ELEVENLABS_MAX_BREAK).toFixed(3)}s" />`);
+    }
+    return parts.join(' ');
+  },
+  macos: seconds => `[[slnc ${Math.round(seconds * 1000)}]]`
+};
+
+/** Narration with pause markers removed: what captions and default slide bodies show. */
+export function spokenText(text = '') {
+  return String(text).replace(PAUSE, ' ').replace(/\s+/g, ' ').replace(/ ([.,;:!?…])/g, '$1').trim();
+}
+
+/** A beat with nothing to say: no TTS, generated silence instead. */
+export function isSilent(beat) {
+  return !spokenText(beat.text);
+}
+
+/** Narration as sent to `engine`, pause markers turned into its native breaks. */
+export function ttsText(text, engine) {
+  const pause = BREAKS[engine] || (() => ' ');
+  return String(text)
+    .replace(PAUSE, (_, amount, unit) => pause(unit?.toLowerCase() === 'ms' ? amount / 1000 : +amount))
+    .replace(/[ \t]+/g, ' ')
+    .trim();
+}
+
+/**
+ * When beat `index`'s narration starts (`lead`) and how long the beat runs, given `speech`
+ * seconds of narration. Throws RenderError if a fixed `duration` can't fit the narration.
+ */
+export function beatTiming(beat, index, speech) {
+  const lead = beat.pauseBefore ?? 0;
+  if (beat.duration !== undefined) {
+    if (beat.duration < lead + speech) {
+      throw new RenderError(`Beat ${index}: duration ${beat.duration}s is shorter than its narration (${(lead + speech).toFixed(2)}s with pauseBefore)`, { code: 'DURATION_TOO_SHORT', beat: index });
+    }
+    return { lead, duration: beat.duration };
+  }
+  const minimum = beat.minDuration ?? (isSilent(beat) ? SILENT_BEAT : 0);
+  return { lead, duration: Math.max(minimum, lead + speech + (beat.pauseAfter ?? BEAT_PAD)) };
+}
+
+/** `seconds` of 44.1k mono silence into `output` (the audio of a silent beat). */
+export async function writeSilence(output, seconds) {
+  await runChecked('ffmpeg', ['-y', '-f', 'lavfi', '-i', 'anullsrc=r=44100:cl=mono', '-t', String(seconds), output], { code: 'AUDIO_FAILED' });
+  return output;
+}
+
+/** `audio` with `seconds` of silence in front, into `output` (a beat's pauseBefore). */
+export async function delayAudio(audio, output, seconds) {
+  const ms = Math.round(seconds * 1000);
+  await runChecked('ffmpeg', ['-y', '-i', audio, '-af', `adelay=${ms}`, '-ar', '44100', '-ac', '1', output], { code: 'AUDIO_FAILED' });
+  return output;
+}
@@ -0,0 +1,99 @@
+/**
+ * Beat-to-beat transitions. A beat's `transition` (or the script-wide default) describes how the
+ * previous beat's slide gives way to this one; it plays over the start of the beat, so beat timings
+ * don't change. Only the slide panel transitions — layouts keep the avatar on top, untouched.
+ *
+ * Audio always crossfades at beat boundaries: each beat starts AUDIO_CROSSFADE before the previous
+ * one ends, the two beats' audio blending over the overlap while the previous beat's picture plays
+ * out (the new beat's first frames are dropped), so boundaries don't click.
+ *
+ *   "transition": "crossfade"
+ *   "transition": { "type": "dip-to-color", "duration": 0.8, "color": "#000000" }
+ */
+
+import { RenderError } from './errors.mjs';
+
+export const TRANSITIONS = ['cut', 'crossfade', 'slide-wipe', 'dip-to-color'];
+export const DEFAULT_TRANSITION_DURATION = 0.5;
+
+/** How far neighbouring beats overlap, their audio crossfading: two frames at 25 fps (seconds). */
+export const AUDIO_CROSSFADE = 0.08;
+
+/**
+ * Transition into beat `index`: { type, duration, color }, or null for a hard cut
+ * (first beat, no transition configured, or 'cut').
+ */
+export function resolveTransition(script, index, theme) {
+  if (index === 0) return null;
+  const spec = script.beats[index].transition ?? script.transition;
+  if (!spec) return null;
+  const { type, duration = DEFAULT_TRANSITION_DURATION, color = theme.colors.background } = typeof spec === 'string' ? { type: spec } : spec;
+  if (type === 'cut' || !(duration > 0)) return null;
+  return { type, duration, color };
+}
+
+/**
+ * filter_complex chains blending panel stream `from` (previous slide) into `to` (this beat's slide),
+ * output as `out`. Both inputs must be looped still images scaled to the same size.
+ */
+export function panelTransition(transition, from, to, out, beatDuration) {
+  const d = Math.min(transition.duration, beatDuration);
+  switch (transition.type) {
+    case 'crossfade':
+      return [
+        `${to}format=yuva420p,fade=t=in:st=0:d=${d}:alpha=1[tin]`,
+        `${from}[tin]overlay=0:0${out}`
+      ];
+    case 'slide-wipe':
+      return [`${from}${to}overlay=x='W*max(1-t/${d},0)':y=0${out}`];
+    case 'dip-to-color': {
+      const half = d / 2;
+      return [
+        `${from}fade=t=out:st=0:d=${half}:color=${transition.color}[tout]`,
+        `${to}fade=t=in:st=${half}:d=${half}:color=${transition.color}[tin]`,
+        `[tin][tout]overlay=0:0:enable='lt(t,${half})'${out}`
+      ];
+    }
+    default:
+      throw new RenderError(`Unknown transition: ${transition.type} (expected one of: ${TRANSITIONS.join(', ')})`, { code: 'INVALID_SCRIPT' });
+  }
+}
+
+/**
+ * Audio chain for one beat: pad with silence to the beat's length. The edges are left alone;
+ * audioCrossfade blends them with the neighbouring beats.
+ */
+export function beatAudio(from, out, duration) {
+  return `${from}apad,atrim=0:${duration}${out}`;
+}
+
+/**
+ * Video filter for the beats decoded back to back (`from`) into `out`: drops the first `overlap`
+ * seconds of each later beat, which `starts` lists by where it begins, and re-times the rest.
+ */
+export function overlapPicture(starts, overlap, from, out) {
+  if (!(overlap > 0) || !starts.length) return `${from}null${out}`;
+  // Frames sit on a 1/25s grid; the millisecond margin keeps rounding from moving a cut by a frame.
+  const cuts = starts.map(s => `between(t,${(s - 0.001).toFixed(3)},${(s + overlap - 0.001).toFixed(3)})`);
+  return `${from}select='not(${cuts.join('+')})',setpts=N/FRAME_RATE/TB${out}`;
+}
+
+/**
+ * filter_complex chains joining the audio of inputs `first`…`first + durations.length - 1` (the beat
+ * files, in order) into `out`. Each beat's audio is padded to its picture's length (`durations`),
+ * then each pair crossfades over `overlap` seconds (0: plain concatenation).
+ */
+export function audioCrossfade(durations, first, overlap, out) {
+  const padded = durations.map((d, i) => `[${first + i}:a]apad,atrim=0:${d}[pad${i}]`);
+  if (!(overlap > 0) || durations.length === 1) {
+    return [...padded, `${durations.map((_, i) => `[pad${i}]`).join('')}concat=n=${durations.length}:v=0:a=1${out}`];
+  }
+  const filters = [...padded];
+  let last = '[pad0]';
+  for (let i = 1; i < durations.length; i++) {
+    const label = i === durations.length - 1 ? out : `[xf${i}]`;
+    filters.push(`${last}[pad${i}]acrossfade=d=${overlap}:c1=tri:c2=tri${label}`);
+    last = label;
+  }
+  return filters;
+}
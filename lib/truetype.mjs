@@ -0,0 +1,216 @@
+/**
+ * Just enough TrueType to draw text without native dependencies: character → glyph mapping (cmap
+ * formats 4 and 12), advance widths, and glyph outlines (simple and composite glyf entries).
+ * CFF-flavoured OpenType fonts have no glyf table and are rejected.
+ */
+
+import { readFileSync } from 'fs';
+import { RenderError } from './errors.mjs';
+
+const loaded = new Map();
+
+/**
+ * Parse a .ttf / .ttc (first face). Memoized per file.
+ *
+ * @returns {{ unitsPerEm: number, ascender: number, descender: number, glyph: (char: string) => { advance: number, contours: {x: number, y: number, on: boolean}[][] } }}
+ */
+export function loadFont(file) {
+  if (!loaded.has(file)) loaded.set(file, parseFont(readFileSync(file), file));
+  return loaded.get(file);
+}
+
+/** True when `file` has TrueType outlines this module can draw. */
+export function isTrueType(file) {
+  try {
+    loadFont(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function parseFont(buf, file) {
+  const face = buf.toString('ascii', 0, 4) === 'ttcf' ? buf.readUInt32BE(12) : 0;
+  const tables = {};
+  for (let t = 0; t < buf.readUInt16BE(face + 4); t++) {
+    const record = face + 12 + t * 16;
+    tables[buf.toString('ascii', record, record + 4)] = buf.readUInt32BE(record + 8);
+  }
+  for (const tag of ['head', 'hhea', 'maxp', 'cmap', 'hmtx', 'loca', 'glyf']) {
+    if (tables[tag] === undefined) {
+      throw new RenderError(`Font ${file} has no ${tag} table (only TrueType-outline fonts can be drawn in-process)`, { code: 'FONT_UNSUPPORTED' });
+    }
+  }
+
+  const unitsPerEm = buf.readUInt16BE(tables.head + 18);
+  const longLoca = buf.readInt16BE(tables.head + 50) === 1;
+  const ascender = buf.readInt16BE(tables.hhea + 4);
+  const descender = buf.readInt16BE(tables.hhea + 6);
+  const hMetrics = buf.readUInt16BE(tables.hhea + 34);
+  const numGlyphs = buf.readUInt16BE(tables.maxp + 4);
+  const lookup = cmap(buf, tables.cmap);
+
+  const advance = id => buf.readUInt16BE(tables.hmtx + 4 * Math.min(id, hMetrics - 1));
+  const location = id => longLoca
+    ? buf.readUInt32BE(tables.loca + id * 4)
+    : buf.readUInt16BE(tables.loca + id * 2) * 2;
+
+  const outline = (id, depth = 0) => {
+    if (id >= numGlyphs || depth > 8) return [];
+    const start = location(id);
+    if (location(id + 1) === start) return [];
+    const at = tables.glyf + start;
+    const contours = buf.readInt16BE(at);
+    return contours >= 0 ? simpleGlyph(buf, at, contours) : compositeGlyph(buf, at, part => outline(part, depth + 1));
+  };
+
+  const glyphs = new Map();
+  return {
+    unitsPerEm,
+    ascender,
+    descender,
+    glyph(char) {
+      const code = char.codePointAt(0);
+      if (!glyphs.has(code)) {
+        const id = lookup(code);
+        glyphs.set(code, { advance: advance(id), contours: outline(id) });
+      }
+      return glyphs.get(code);
+    }
+  };
+}
+
+/** Best Unicode subtable: format 12 (full range) if present, else format 4 (BMP). */
+function cmap(buf, table) {
+  let format4 = null;
+  let format12 = null;
+  for (let i = 0; i < buf.readUInt16BE(table + 2); i++) {
+    const record = table + 4 + i * 8;
+    const platform = buf.readUInt16BE(record);
+    const encoding = buf.readUInt16BE(record + 2);
+    const sub = table + buf.readUInt32BE(record + 4);
+    if (!(platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10)))) continue;
+    const format = buf.readUInt16BE(sub);
+    if (format === 12) format12 ??= sub;
+    if (format === 4) format4 ??= sub;
+  }
+
+  if (format12 !== null) {
+    const groups = buf.readUInt32BE(format12 + 12);
+    return code => {
+      for (let g = 0; g < groups; g++) {
+        const at = format12 + 16 + g * 12;
+        const first = buf.readUInt32BE(at);
+        if (code >= first && code <= buf.readUInt32BE(at + 4)) return buf.readUInt32BE(at + 8) + code - first;
+      }
+      return 0;
+    };
+  }
+  if (format4 !== null) {
+    const segments = buf.readUInt16BE(format4 + 6) / 2;
+    const ends = format4 + 14;
+    const starts = ends + segments * 2 + 2;
+    const deltas = starts + segments * 2;
+    const offsets = deltas + segments * 2;
+    return code => {
+      for (let s = 0; s < segments; s++) {
+        if (code > buf.readUInt16BE(ends + s * 2)) continue;
+        const first = buf.readUInt16BE(starts + s * 2);
+        if (code < first) return 0;
+        const delta = buf.readInt16BE(deltas + s * 2);
+        const offset = buf.readUInt16BE(offsets + s * 2);
+        if (!offset) return (code + delta) & 0xffff;
+        const id = buf.readUInt16BE(offsets + s * 2 + offset + (code - first) * 2);
+        return id ? (id + delta) & 0xffff : 0;
+      }
+      return 0;
+    };
+  }
+  return () => 0;
+}
+
+function simpleGlyph(buf, at, contourCount) {
+  const endPoints = [];
+  for (let c = 0; c < contourCount; c++) endPoints.push(buf.readUInt16BE(at + 10 + c * 2));
+  const points = contourCount ? endPoints[contourCount - 1] + 1 : 0;
+  let p = at + 10 + contourCount * 2;
+  p += 2 + buf.readUInt16BE(p);
+
+  const flags = [];
+  while (flags.length < points) {
+    const flag = buf[p++];
+    flags.push(flag);
+    if (flag & 8) {
+      for (let r = buf[p++]; r > 0; r--) flags.push(flag);
+    }
+  }
+  const coords = (short, same) => {
+    const out = [];
+    let value = 0;
+    for (const flag of flags) {
+      if (flag & short) {
+        const d = buf[p++];
+        value += flag & same ? d : -d;
+      } else if (!(flag & same)) {
+        value += buf.readInt16BE(p);
+        p += 2;
+      }
+      out.push(value);
+    }
+    return out;
+  };
+  const xs = coords(2, 16);
+  const ys = coords(4, 32);
+
+  const contours = [];
+  let first = 0;
+  for (const last of endPoints) {
+    const contour = [];
+    for (let i = first; i <= last; i++) contour.push({ x: xs[i], y: ys[i], on: Boolean(flags[i] & 1) });
+    contours.push(contour);
+    first = last + 1;
+  }
+  return contours;
+}
+
+function compositeGlyph(buf, at, outline) {
+  const contours = [];
+  let p = at + 10;
+  let more = true;
+  while (more) {
+    const flags = buf.readUInt16BE(p);
+    const id = buf.readUInt16BE(p + 2);
+    p += 4;
+    let dx;
+    let dy;
+    if (flags & 1) {
+      dx = buf.readInt16BE(p);
+      dy = buf.readInt16BE(p + 2);
+      p += 4;
+    } else {
+      dx = buf.readInt8(p);
+      dy = buf.readInt8(p + 1);
+      p += 2;
+    }
+    let [a, b, c, d] = [1, 0, 0, 1];
+    const f2dot14 = o => buf.readInt16BE(o) / 16384;
+    if (flags & 8) {
+      a = d = f2dot14(p);
+      p += 2;
+    } else if (flags & 0x40) {
+      a = f2dot14(p);
+      d = f2dot14(p + 2);
+      p += 4;
+    } else if (flags & 0x80) {
+      [a, b, c, d] = [f2dot14(p), f2dot14(p + 2), f2dot14(p + 4), f2dot14(p + 6)];
+      p += 8;
+    }
+    // Point-matched placement (ARGS_ARE_XY_VALUES unset) is rare in text fonts; those parts sit at the origin.
+    if (!(flags & 2)) dx = dy = 0;
+    for (const contour of outline(id)) {
+      contours.push(contour.map(pt => ({ x: a * pt.x + c * pt.y + dx, y: b * pt.x + d * pt.y + dy, on: pt.on })));
+    }
+    more = Boolean(flags & 0x20);
+  }
+  return contours;
+}
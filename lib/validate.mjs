@@ -0,0 +1,173 @@
+/**
+ * Script / materialize-source validation against the published JSON Schemas in schemas/.
+ * Implements the subset of JSON Schema those files use, so there is no runtime dependency.
+ */
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+import { PKG_ROOT } from './pkg-root.mjs';
+
+const SCHEMA_DIR = join(PKG_ROOT, 'schemas');
+const SCHEMAS = {};
+
+function loadSchema(file) {
+  if (!SCHEMAS[file]) SCHEMAS[file] = JSON.parse(readFileSync(join(SCHEMA_DIR, file), 'utf8'));
+  return SCHEMAS[file];
+}
+
+/**
+ * Validate a script (or, with kind 'source', a materialize source).
+ * Returns { valid, errors: [{ path: '$.beats[0].text', message }] } listing every problem found.
+ */
+export function validateScript(doc, { kind = 'script' } = {}) {
+  const file = kind === 'source' ? 'source.schema.json' : 'script.schema.json';
+  const errors = [];
+  check(doc, loadSchema(file), '$', file, errors);
+  if (kind === 'source' && typeOf(doc) === 'object') checkPlaceholders(doc, errors);
+  if (typeOf(doc) === 'object') checkCast(doc, errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * 'source' when the document looks like a materialize source (has data bindings), else 'script'.
+ */
+export function detectKind(doc) {
+  return doc && typeof doc === 'object' && ('data_bindings' in doc || 'metadata' in doc) ? 'source' : 'script';
+}
+
+function check(value, schema, path, file, errors) {
+  if (schema.$ref) {
+    const [refFile, pointer = ''] = schema.$ref.split('#');
+    const target = refFile || file;
+    return check(value, resolvePointer(loadSchema(target), pointer), path, target, errors);
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ path, message: `expected ${[].concat(schema.type).join(' or ')}, got ${typeOf(value)}` });
+    return;
+  }
+
+  if (schema.anyOf) {
+    const passing = schema.anyOf.some(sub => {
+      const subErrors = [];
+      check(value, sub, path, file, subErrors);
+      return subErrors.length === 0;
+    });
+    if (!passing) errors.push({ path, message: 'does not match any allowed form' });
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push({ path, message: value.length === 0 ? 'must not be empty' : `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `"${value}" does not match ${schema.pattern}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push({ path, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum != null && value > schema.maximum) errors.push({ path, message: `must be <= ${schema.maximum}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+    }
+    if (schema.maxItems != null && value.length > schema.maxItems) {
+      errors.push({ path, message: `must have at most ${schema.maxItems} item${schema.maxItems === 1 ? '' : 's'}` });
+    }
+    if (schema.items) value.forEach((item, i) => check(item, schema.items, `${path}[${i}]`, file, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    // undefined-valued keys are treated as absent, as they would be after a JSON round trip.
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push({ path: childPath(path, key), message: 'is required' });
+    }
+    const props = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (child === undefined) continue;
+      if (props[key]) {
+        check(child, props[key], childPath(path, key), file, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: childPath(path, key), message: 'is not an allowed property' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(child, schema.additionalProperties, childPath(path, key), file, errors);
+      }
+    }
+  }
+}
+
+/** Every {{name}} used in a source's text fields must have a data binding. */
+function checkPlaceholders(source, errors) {
+  const bound = new Set(Object.keys(source.data_bindings || {}));
+  const fields = [['title', source.title], ['description', source.description], ['metadata.title', source.metadata?.title]];
+  (Array.isArray(source.beats) ? source.beats : []).forEach((beat, i) => {
+    for (const key of ['text', 'slideTitle', 'slideBody']) fields.push([`beats[${i}].${key}`, beat?.[key]]);
+  });
+  for (const [field, text] of fields) {
+    if (typeof text !== 'string') continue;
+    for (const [, name] of text.matchAll(/\{\{(\w+)\}\}/g)) {
+      if (!bound.has(name)) errors.push({ path: `$.${field}`, message: `placeholder {{${name}}} has no entry in data_bindings` });
+    }
+  }
+}
+
+/**
+ * Cast ids are unique, every speaker / onSet id names a cast member, and each beat's speaker
+ * (default: the first member) is on set for that beat, so the voice has a face on screen.
+ */
+function checkCast(doc, errors) {
+  const cast = Array.isArray(doc.cast) ? doc.cast : [];
+  const ids = new Set();
+  cast.forEach((member, i) => {
+    if (typeof member?.id !== 'string') return;
+    if (ids.has(member.id)) errors.push({ path: `$.cast[${i}].id`, message: `duplicate cast id "${member.id}"` });
+    ids.add(member.id);
+  });
+  const known = (id, path) => {
+    if (typeof id !== 'string' || ids.has(id)) return;
+    errors.push({ path, message: cast.length ? `"${id}" is not in the cast (${[...ids].join(', ')})` : `"${id}" needs a cast to refer to` });
+  };
+  const onSet = (list, path) => {
+    if (!Array.isArray(list)) return;
+    list.forEach((id, i) => {
+      known(id, `${path}[${i}]`);
+      if (list.indexOf(id) !== i) errors.push({ path: `${path}[${i}]`, message: `"${id}" is on set twice` });
+    });
+  };
+  onSet(doc.onSet, '$.onSet');
+  (Array.isArray(doc.beats) ? doc.beats : []).forEach((beat, i) => {
+    known(beat?.speaker, `$.beats[${i}].speaker`);
+    onSet(beat?.onSet, `$.beats[${i}].onSet`);
+    const speaker = beat?.speaker ?? cast[0]?.id;
+    const onScreen = beat?.onSet ?? doc.onSet;
+    if (ids.has(speaker) && Array.isArray(onScreen) && !onScreen.includes(speaker)) {
+      const path = beat?.onSet ? `$.beats[${i}].onSet` : beat?.speaker ? `$.beats[${i}].speaker` : `$.beats[${i}]`;
+      errors.push({ path, message: `speaker "${speaker}" is not on set (${onScreen.join(', ')})` });
+    }
+  });
+}
+
+function resolvePointer(schema, pointer) {
+  return pointer.split('/').filter(Boolean).reduce((node, key) => node[key], schema);
+}
+
+function matchesType(value, type) {
+  return [].concat(type).some(t => t === 'integer' ? Number.isInteger(value) : typeOf(value) === t);
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function childPath(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `${path}.${key}` : `${path}[${JSON.stringify(key)}]`;
+}
@@ -0,0 +1,128 @@
+/**
+ * Per-beat speech synthesis for the render pipeline: ElevenLabs (via curl) or macOS `say`,
+ * normalized to 44.1k mono WAV.
+ */
+
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { join } from 'path';
+import { runChecked } from './exec.mjs';
+import { TTSError } from './errors.mjs';
+import { alignmentToWords } from './word-timing.mjs';
+
+/**
+ * ElevenLabs credentials from env, falling back to ~/.marvin/secrets/elevenlabs.env for whichever
+ * is missing. Either may come back empty.
+ */
+export function getElevenLabsEnv() {
+  let apiKey = process.env.ELEVENLABS_API_KEY || '';
+  let voiceId = process.env.ELEVENLABS_VOICE_ID || '';
+  if (apiKey && voiceId) return { apiKey, voiceId };
+  try {
+    const home = process.env.HOME || process.env.USERPROFILE;
+    if (home) {
+      const env = readFileSync(join(home, '.marvin/secrets/elevenlabs.env'), 'utf8');
+      apiKey ||= env.match(/ELEVENLABS_API_KEY=(.+)/)?.[1]?.trim() || '';
+      voiceId ||= env.match(/ELEVENLABS_VOICE_ID=(.+)/)?.[1]?.trim() || '';
+    }
+  } catch {}
+  return { apiKey, voiceId };
+}
+
+/**
+ * Resolve TTS options ({ engine, voice, voiceId }) to the engine that will actually run.
+ * `voiceId` picks an ElevenLabs voice other than the configured one; `voice` is the `say` voice.
+ * ElevenLabs silently degrades to `say` when no credentials are configured.
+ */
+export function resolveTTS(tts = {}) {
+  const { engine = 'elevenlabs', voice = 'Daniel' } = tts;
+  if (engine === 'elevenlabs') {
+    const { apiKey, voiceId: configured } = getElevenLabsEnv();
+    const voiceId = tts.voiceId || configured;
+    if (apiKey && voiceId) return { engine, apiKey, voiceId, voice };
+    return { engine: 'macos', voice };
+  }
+  if (engine === 'macos') return { engine, voice };
+  throw new TTSError(`Unknown TTS engine: ${engine}`);
+}
+
+/**
+ * Everything about a resolved TTS engine that changes the audio it produces (cache key input).
+ */
+export function ttsFingerprint(tts) {
+  if (tts.engine === 'elevenlabs') {
+    return { engine: tts.engine, voiceId: tts.voiceId, model: ELEVENLABS_MODEL, settings: ELEVENLABS_SETTINGS };
+  }
+  return { engine: tts.engine, voice: tts.voice };
+}
+
+const ELEVENLABS_MODEL = 'eleven_multilingual_v2';
+const ELEVENLABS_SETTINGS = { stability: 0.5, similarity_boost: 0.75 };
+
+/**
+ * Synthesize `text` into `wavPath` (44.1k mono). `basePath` is the extension-less
+ * path used for the engine's intermediate file.
+ *
+ * With `timestamps`, ElevenLabs is asked for character alignment and the result carries
+ * `words: [{ word, start, end }]`; other engines return `words: null`.
+ *
+ * @returns {Promise<{ audio: string, words: object[]|null }>}
+ */
+export async function synthesizeBeat(text, { wavPath, basePath, tts, timestamps = false, beat = null }) {
+  let words = null;
+  if (tts.engine === 'elevenlabs') {
+    const mp3Path = `${basePath}.mp3`;
+    const body = JSON.stringify({
+      text,
+      model_id: ELEVENLABS_MODEL,
+      voice_settings: ELEVENLABS_SETTINGS
+    });
+    if (timestamps) {
+      const jsonPath = `${basePath}.json`;
+      await elevenLabs(`${tts.voiceId}/with-timestamps`, body, jsonPath, tts, beat);
+      try {
+        const res = JSON.parse(readFileSync(jsonPath, 'utf8'));
+        writeFileSync(mp3Path, Buffer.from(res.audio_base64, 'base64'));
+        words = alignmentToWords(res.alignment);
+      } catch {
+        throw new TTSError(`ElevenLabs returned no timestamped audio for beat ${beat}`, { beat });
+      }
+    } else {
+      await elevenLabs(tts.voiceId, body, mp3Path, tts, beat);
+    }
+    await runChecked('ffmpeg', ['-y', '-i', mp3Path, '-ar', '44100', '-ac', '1', wavPath], { beat, code: 'TTS_FAILED' });
+  } else {
+    const audioPath = `${basePath}.aiff`;
+    await runChecked('say', ['-v', tts.voice, '-o', audioPath, text], { beat, code: 'TTS_FAILED' });
+    await runChecked('ffmpeg', ['-y', '-i', audioPath, '-ar', '44100', '-ac', '1', wavPath], { beat, code: 'TTS_FAILED' });
+  }
+
+  if (!existsSync(wavPath)) {
+    throw new TTSError(`No audio produced for beat ${beat} (${tts.engine})`, { beat });
+  }
+  return { audio: wavPath, words };
+}
+
+/**
+ * POST `body` to ElevenLabs text-to-speech/`path`, response into `output`. An HTTP error (bad key,
+ * quota, unknown voice) throws TTSError with the API's message instead of leaving the error
+ * JSON in `output` for ffmpeg to choke on.
+ */
+async function elevenLabs(path, body, output, tts, beat) {
+  try {
+    await runChecked('curl', [
+      '-sS', '--fail-with-body', '-X', 'POST',
+      `https://api.elevenlabs.io/v1/text-to-speech/${path}`,
+      '-H', `xi-api-key: ${tts.apiKey}`,
+      '-H', 'Content-Type: application/json',
+      '-d', body,
+      '--output', output
+    ], { beat, code: 'TTS_FAILED' });
+  } catch (error) {
+    let detail = error.message;
+    try {
+      const res = JSON.parse(readFileSync(output, 'utf8'));
+      detail = res.detail?.message || (typeof res.detail === 'string' ? res.detail : JSON.stringify(res.detail ?? res));
+    } catch {}
+    throw new TTSError(`ElevenLabs request failed for beat ${beat}: ${detail}`, { beat, cause: error });
+  }
+}
@@ -0,0 +1,59 @@
+/**
+ * Per-word timestamps for animated captions: from ElevenLabs character alignment when
+ * available, otherwise estimated from the measured speech duration.
+ */
+
+const BREAK_TAG = '<break';
+
+/**
+ * ElevenLabs `alignment` ({ characters, character_start_times_seconds, character_end_times_seconds })
+ * → [{ word, start, end }] in seconds from the start of the beat audio. Break tags
+ * (`<break time="1s" />`) are aligned like text but not spoken, so they are skipped; any other
+ * `<` is narration (e.g. "price < $1") and stays in its word.
+ */
+export function alignmentToWords(alignment) {
+  const chars = alignment?.characters || [];
+  const starts = alignment?.character_start_times_seconds || [];
+  const ends = alignment?.character_end_times_seconds || [];
+  const words = [];
+  let current = null;
+  let tag = false;
+  for (let i = 0; i < chars.length; i++) {
+    if (!tag && chars.slice(i, i + BREAK_TAG.length).join('') === BREAK_TAG) tag = true;
+    if (tag) {
+      if (chars[i] === '>') tag = false;
+      current = null;
+      continue;
+    }
+    if (/\s/.test(chars[i])) {
+      current = null;
+      continue;
+    }
+    if (!current) {
+      current = { word: '', start: starts[i], end: ends[i] };
+      words.push(current);
+    }
+    current.word += chars[i];
+    current.end = ends[i];
+  }
+  return words;
+}
+
+/**
+ * Spread words over `duration` seconds, weighting by length and giving punctuation a
+ * little extra room for the pause a voice takes after it.
+ */
+export function estimateWordTimings(text, duration) {
+  const tokens = text.trim().split(/\s+/).filter(Boolean);
+  const weights = tokens.map(w => w.length + (/[.!?…]$/.test(w) ? 4 : /[,;:—–]$/.test(w) ? 2 : 0) + 1);
+  const total = weights.reduce((a, b) => a + b, 0) || 1;
+  let t = 0;
+  return tokens.map((word, i) => {
+    const share = duration * weights[i] / total;
+    // The pause belongs after the word, not inside it.
+    const spoken = share * (word.length + 1) / weights[i];
+    const timing = { word, start: t, end: t + spoken };
+    t += share;
+    return timing;
+  });
+}
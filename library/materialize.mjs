@@ -1,21 +1,22 @@
 #!/usr/bin/env node
 /**
- * Materializer: source JSON with data bindings → resolved script → video via assemble-segment.
+ * Materializer: source JSON with data bindings → resolved script → video via renderSegment().
  *
  * Usage:
- *   materialize <source.json> [--voice macos|elevenlabs] [--aspect 16:9] [--output dir/]
+ *   materialize <source.json> [--voice macos|elevenlabs] [--aspect 16:9|9:16|1:1|all] [--output dir/]
  *   materialize <source.json> --resolve-only
  */
 
-import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'fs';
+import { readFileSync, writeFileSync, existsSync, mkdirSync, rmSync } from 'fs';
 import { join, dirname } from 'path';
 import { fileURLToPath } from 'url';
-import { spawnSync } from 'child_process';
 import { CONFIG } from '../lib/config.mjs';
-import { PKG_ROOT } from '../lib/pkg-root.mjs';
+import { renderSegment, synthesizeScript } from '../lib/render.mjs';
+import { ASPECTS } from '../lib/layouts/index.mjs';
+import { logProgress, logError } from '../lib/progress.mjs';
+import { validateScript } from '../lib/validate.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
-const ASSEMBLE = join(PKG_ROOT, 'cli', 'assemble-segment.mjs');
 const STATE_FILE = CONFIG.paths.recursiveState;
 
 const args = process.argv.slice(2);
@@ -24,9 +25,23 @@ const voiceOverride = args.includes('--voice') ? args[args.indexOf('--voice') +
 const aspectOverride = args.includes('--aspect') ? args[args.indexOf('--aspect') + 1] : '16:9';
 const outputDir = args.includes('--output') ? args[args.indexOf('--output') + 1] : join(process.cwd(), '.segment-stream', 'renders');
 const resolveOnly = args.includes('--resolve-only');
+const useCache = !args.includes('--no-cache');
+const keepWork = args.includes('--keep-work');
+const minChapter = args.includes('--min-chapter') ? parseFloat(args[args.indexOf('--min-chapter') + 1]) : undefined;
+const chapters = args.includes('--chapters') ? { minLength: minChapter } : false;
+const thumbnailBeat = args.includes('--thumbnail-beat') ? parseInt(args[args.indexOf('--thumbnail-beat') + 1], 10) : null;
+const thumbnail = args.includes('--thumbnail') || thumbnailBeat !== null ? { beat: thumbnailBeat } : false;
+const loudness = args.includes('--loudness') ? args[args.indexOf('--loudness') + 1] : undefined;
+const slideRenderer = args.includes('--slide-renderer') ? args[args.indexOf('--slide-renderer') + 1] : undefined;
+const jobs = args.includes('--jobs') ? parseInt(args[args.indexOf('--jobs') + 1], 10) : undefined;
 
 if (!sourcePath) {
-  console.error('Usage: materialize <source.json> [--voice macos|elevenlabs] [--output dir/] [--resolve-only]');
+  console.error('Usage: materialize <source.json> [--voice macos|elevenlabs] [--aspect 16:9|9:16|1:1|all] [--output dir/] [--slide-renderer auto|svg|wkhtmltoimage|drawtext] [--loudness -14|-16|podcast|off] [--jobs 4] [--no-cache] [--keep-work] [--chapters] [--min-chapter 10] [--thumbnail] [--thumbnail-beat 0] [--resolve-only]');
+  process.exit(1);
+}
+
+if (aspectOverride !== 'all' && !ASPECTS[aspectOverride]) {
+  console.error(`Unknown --aspect ${aspectOverride} (expected ${Object.keys(ASPECTS).join(', ')} or all)`);
   process.exit(1);
 }
 
@@ -102,8 +117,19 @@ function interpolate(text, vars) {
   return text.replace(/\{\{(\w+)\}\}/g, (_, key) => vars[key] ?? `{{${key}}}`);
 }
 
+function interpolateLowerThird(card, vars) {
+  if (typeof card === 'string') return interpolate(card, vars);
+  return { ...card, name: interpolate(card.name, vars), title: interpolate(card.title, vars) };
+}
+
 async function main() {
   const source = JSON.parse(readFileSync(sourcePath, 'utf8'));
+  const { valid, errors } = validateScript(source, { kind: 'source' });
+  if (!valid) {
+    console.error(`❌ Invalid source ${sourcePath}:`);
+    for (const e of errors) console.error(`   ${e.path}: ${e.message}`);
+    process.exit(1);
+  }
   console.log(`\n📖 Source: ${source.metadata?.title || source.title}`);
   console.log(`   Beats: ${source.beats?.length}`);
 
@@ -114,14 +140,34 @@ async function main() {
 
   const resolvedBeats = (source.beats || []).map(beat => ({
     text: interpolate(beat.text, vars),
+    ...(beat.pauseBefore !== undefined ? { pauseBefore: beat.pauseBefore } : {}),
+    ...(beat.pauseAfter !== undefined ? { pauseAfter: beat.pauseAfter } : {}),
+    ...(beat.minDuration !== undefined ? { minDuration: beat.minDuration } : {}),
+    ...(beat.duration !== undefined ? { duration: beat.duration } : {}),
     slideTitle: interpolate(beat.slideTitle, vars),
     slideBody: interpolate(beat.slideBody, vars),
-    slideAccent: beat.slideAccent?.includes('{{') ? '#00d4aa' : beat.slideAccent,
-    ...(beat.slideImage ? { slideImage: beat.slideImage } : {})
+    slideAccent: beat.slideAccent?.includes('{{') ? undefined : beat.slideAccent,
+    ...(beat.slideImage ? { slideImage: beat.slideImage } : {}),
+    ...(beat.slideVideo ? { slideVideo: beat.slideVideo } : {}),
+    ...(beat.chart ? { chart: beat.chart } : {}),
+    ...(beat.speaker ? { speaker: beat.speaker } : {}),
+    ...(beat.onSet ? { onSet: beat.onSet } : {}),
+    ...(beat.lowerThird ? { lowerThird: interpolateLowerThird(beat.lowerThird, vars) } : {}),
+    ...(beat.transition ? { transition: beat.transition } : {}),
+    ...(beat.music ? { music: beat.music } : {}),
+    ...(beat.motion ? { motion: beat.motion } : {})
   }));
 
   const resolvedScript = {
     title: interpolate(source.metadata?.title || source.title, vars),
+    ...(source.description ? { description: interpolate(source.description, vars) } : {}),
+    ...(source.theme ? { theme: source.theme } : {}),
+    ...(source.transition ? { transition: source.transition } : {}),
+    ...(source.music ? { music: source.music } : {}),
+    ...(source.motion ? { motion: source.motion } : {}),
+    ...(source.ticker !== undefined ? { ticker: source.ticker } : {}),
+    ...(source.cast ? { cast: source.cast } : {}),
+    ...(source.onSet ? { onSet: source.onSet } : {}),
     beats: resolvedBeats
   };
 
@@ -132,25 +178,50 @@ async function main() {
   }
 
   const voice = voiceOverride || source.render?.voice?.split(':')?.[0] || 'macos';
-  const ttsFlag = voice === 'macos' ? '--macos-tts' : '';
 
   const scriptFile = join(outputDir, `${source.id || 'out'}-resolved.json`);
   writeFileSync(scriptFile, JSON.stringify(resolvedScript, null, 2));
 
-  const outputFile = join(outputDir, `${source.id || 'out'}.${aspectOverride.replace(':', 'x')}.${voice}.mp4`);
-
-  console.log(`\n🎬 Rendering: ${outputFile}`);
-  const result = spawnSync('node', [
-    ASSEMBLE,
-    '--script', scriptFile,
-    '--output', outputFile,
-    ...(ttsFlag ? [ttsFlag] : [])
-  ], { stdio: 'inherit', timeout: 300000 });
-
-  if (result.status === 0) {
-    console.log(`\n✅ Materialized: ${outputFile}`);
-  } else {
-    console.error(`\n❌ Render failed (code ${result.status})`);
+  const aspects = aspectOverride === 'all' ? Object.keys(ASPECTS) : [aspectOverride];
+  const tts = { engine: voice === 'macos' ? 'macos' : 'elevenlabs' };
+
+  const voiceDir = join(CONFIG.workDir, `.materialize-voice-${process.pid}`);
+  try {
+    // One TTS pass shared by every aspect.
+    const voiceTrack = await synthesizeScript(resolvedScript, {
+      tts,
+      workDir: voiceDir,
+      cache: useCache,
+      jobs,
+      onProgress: logProgress
+    });
+
+    const outputs = [];
+    for (const aspect of aspects) {
+      const outputFile = join(outputDir, `${source.id || 'out'}.${aspect.replace(':', 'x')}.${voice}.mp4`);
+      console.log(`\n🎬 Rendering ${aspect}: ${outputFile}`);
+      await renderSegment(resolvedScript, {
+        layout: ASPECTS[aspect],
+        output: outputFile,
+        workDir: join(CONFIG.workDir, `.segment-work-${process.pid}-${ASPECTS[aspect]}`),
+        voiceTrack,
+        slideRenderer,
+        loudness,
+        cache: useCache,
+        keepWork,
+        manifest: true,
+        chapters,
+        thumbnail,
+        jobs,
+        onProgress: logProgress
+      });
+      outputs.push(outputFile);
+    }
+    if (!keepWork) rmSync(voiceDir, { recursive: true, force: true });
+    for (const file of outputs) console.log(`\n✅ Materialized: ${file}`);
+  } catch (e) {
+    if (!e.workDir && existsSync(voiceDir)) e.workDir = voiceDir;
+    logError(e);
     process.exit(1);
   }
 }
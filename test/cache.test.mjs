@@ -0,0 +1,59 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, existsSync, utimesSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createCache } from '../lib/cache.mjs';
+
+let dir;
+let src;
+
+beforeEach(() => {
+  dir = mkdtempSync(join(tmpdir(), 'segment-cache-'));
+  src = join(dir, 'src.bin');
+});
+
+afterEach(() => rmSync(dir, { recursive: true, force: true }));
+
+/** A `bytes`-long file at `src`, stored under `name`. */
+function storeBytes(cache, name, bytes) {
+  writeFileSync(src, Buffer.alloc(bytes));
+  return cache.store('beat', cache.key('beat', name), 'bin', src);
+}
+
+test('a first store that leaves the cache just under the cap prunes nothing', () => {
+  const older = storeBytes(createCache({ dir: join(dir, 'cache'), maxSize: 0 }), 'older', 500);
+  const cache = createCache({ dir: join(dir, 'cache'), maxSize: 1000 });
+  const file = storeBytes(cache, 'a', 499);
+  assert.equal(cache.pruned, 0);
+  assert.ok(existsSync(older));
+  assert.ok(existsSync(file));
+  assert.deepEqual(cache.usage(), { files: 2, bytes: 999 });
+});
+
+test('stores past the cap prune the least recently used artifacts', () => {
+  const seed = createCache({ dir: join(dir, 'cache'), maxSize: 0 });
+  const [a, b, c] = ['a', 'b', 'c'].map((name, i) => {
+    const file = storeBytes(seed, name, 400);
+    utimesSync(file, 1000 + i, 1000 + i);
+    return file;
+  });
+
+  const cache = createCache({ dir: join(dir, 'cache'), maxSize: 1000 });
+  assert.equal(cache.lookup('beat', cache.key('beat', 'a'), 'bin'), a);
+  const d = storeBytes(cache, 'd', 400);
+
+  assert.deepEqual([a, b, c, d].map(existsSync), [true, false, false, true]);
+  assert.equal(cache.pruned, 2);
+  assert.deepEqual(cache.usage(), { files: 2, bytes: 800 });
+});
+
+test('replacing an artifact does not count it twice', () => {
+  const cache = createCache({ dir: join(dir, 'cache'), maxSize: 1000 });
+  storeBytes(cache, 'a', 300);
+  storeBytes(cache, 'b', 300);
+  storeBytes(cache, 'b', 300);
+  storeBytes(cache, 'c', 300);
+  assert.equal(cache.pruned, 0);
+  assert.deepEqual(cache.usage(), { files: 3, bytes: 900 });
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { overlapPicture, audioCrossfade, AUDIO_CROSSFADE } from '../lib/transitions.mjs';
+
+test('each later beat loses its first overlap of picture', () => {
+  assert.equal(
+    overlapPicture([3.84, 8.04], AUDIO_CROSSFADE, '[0:v]', '[v]'),
+    "[0:v]select='not(between(t,3.839,3.919)+between(t,8.039,8.119))',setpts=N/FRAME_RATE/TB[v]"
+  );
+  assert.equal(overlapPicture([], AUDIO_CROSSFADE, '[0:v]', '[v]'), '[0:v]null[v]');
+});
+
+test('beat audio is padded to each picture, then crossfaded pair by pair', () => {
+  assert.deepEqual(audioCrossfade([3.84, 4.2, 2.72], 1, 0.08, '[a]'), [
+    '[1:a]apad,atrim=0:3.84[pad0]',
+    '[2:a]apad,atrim=0:4.2[pad1]',
+    '[3:a]apad,atrim=0:2.72[pad2]',
+    '[pad0][pad1]acrossfade=d=0.08:c1=tri:c2=tri[xf1]',
+    '[xf1][pad2]acrossfade=d=0.08:c1=tri:c2=tri[a]'
+  ]);
+});
+
+test('without an overlap (or with one beat) the audio is concatenated', () => {
+  assert.deepEqual(audioCrossfade([1.6], 1, 0.08, '[a]'), ['[1:a]apad,atrim=0:1.6[pad0]', '[pad0]concat=n=1:v=0:a=1[a]']);
+  assert.deepEqual(audioCrossfade([0.1, 0.1], 1, 0, '[a]').at(-1), '[pad0][pad1]concat=n=2:v=0:a=1[a]');
+});
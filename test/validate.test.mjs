@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateScript } from '../lib/validate.mjs';
+
+const cast = [
+  { id: 'anchor', name: 'Dana Reyes' },
+  { id: 'analyst', name: 'Marvin' },
+  { id: 'guest', name: 'Guest' }
+];
+
+test('a speaker on set is valid', () => {
+  const { valid, errors } = validateScript({
+    cast,
+    onSet: ['anchor', 'analyst'],
+    beats: [{ text: 'Hello.' }, { speaker: 'analyst', text: 'Hi.' }, { speaker: 'guest', onSet: ['guest'], text: 'Hey.' }]
+  });
+  assert.deepEqual(errors, []);
+  assert.equal(valid, true);
+});
+
+test('a speaker missing from the script-wide onSet is rejected', () => {
+  const { valid, errors } = validateScript({ cast, onSet: ['anchor', 'analyst'], beats: [{ speaker: 'guest', text: 'Hey.' }] });
+  assert.equal(valid, false);
+  assert.deepEqual(errors, [{ path: '$.beats[0].speaker', message: 'speaker "guest" is not on set (anchor, analyst)' }]);
+});
+
+test("a speaker missing from the beat's own onSet is rejected", () => {
+  const { errors } = validateScript({ cast, beats: [{ speaker: 'analyst', onSet: ['anchor'], text: 'Hi.' }] });
+  assert.deepEqual(errors, [{ path: '$.beats[0].onSet', message: 'speaker "analyst" is not on set (anchor)' }]);
+});
+
+test('the default speaker (first cast member) must be on set too', () => {
+  const { errors } = validateScript({ cast, onSet: ['analyst'], beats: [{ text: 'Hello.' }] });
+  assert.deepEqual(errors, [{ path: '$.beats[0]', message: 'speaker "anchor" is not on set (analyst)' }]);
+});